@@ -1,46 +1,268 @@
+// approximate the memory used by a value from the length of its JSON
+function estimateSize(value) {
+  try {
+    return JSON.stringify(value).length;
+  } catch(error) {
+    return 0;
+  }
+}
+
 module.exports = class Cache {
-  constructor(cacheTTL = 60000) {
-    this._keyValMap = {};
-    this._timeoutMap = {};
-    this._cacheTTL = cacheTTL;
+  constructor(cacheTTL = 60000, options = {}) {
+    this._cacheTTL = Number(cacheTTL);
+    this._maxEntries = Number(options.maxEntries) || 0; // 0 is unlimited
+    this._maxBytes = Number(options.maxBytes) || 0;     // 0 is unlimited
+    this._extendOnRead = options.extendOnRead ? true : false;
+    this._sizeOf = options.sizeOf || estimateSize;
+    // expired entries are kept this much longer, so they can still be served when a fresh value can't be fetched
+    this._staleTime = Number(options.staleTime) || 0;
+    // an optional slower tier, such as a DiskCache, that entries are written through to
+    this._persistentCache = options.persistentCache || null;
+
+    // Map iterates in insertion order, entries are re-inserted when read so the first entry is the least recently used
+    this._entries = new Map();
+    this._aliases = new Map();
+    this._bytes = 0;
+    this._hits = 0;
+    this._misses = 0;
+
+    if (this._cacheTTL > 0) {
+      // a single timer removes expired entries, rather than one timer per key
+      this._sweepInterval = setInterval((this.sweep).bind(this), this._cacheTTL);
+      this._sweepInterval.unref();
+    }
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  get bytes() {
+    return this._bytes;
+  }
+
+  get stats() {
+    const lookups = this._hits + this._misses;
+    return {
+      entries: this._entries.size,
+      bytes: this._bytes,
+      maxEntries: this._maxEntries,
+      maxBytes: this._maxBytes,
+      hits: this._hits,
+      misses: this._misses,
+      hitRate: lookups > 0 ? this._hits / lookups : null
+    };
+  }
+
+  _recordLookup(value) {
+    if (value === undefined) {
+      this._misses++;
+    } else {
+      this._hits++;
+    }
+  }
+
+  _resolveKey(key) {
+    return this._aliases.has(key) ? this._aliases.get(key) : key;
+  }
+
+  _isExpired(entry, now = new Date().getTime()) {
+    return entry.expires !== null && entry.expires <= now;
   }
 
-  get(key) {
+  _isRemovable(entry, now = new Date().getTime()) {
+    return entry.expires !== null && entry.expires + this._staleTime <= now;
+  }
+
+  get(key, extend = this._extendOnRead) {
+    const value = this._get(key, extend);
+    this._recordLookup(value);
+    return value;
+  }
+
+  _get(key, extend) {
     let value;
-    if (key && this._keyValMap[key]) {
-      value = this._keyValMap[key];
+    if (key) {
+      const resolvedKey = this._resolveKey(key);
+      const entry = this._entries.get(resolvedKey);
+
+      if (entry && this._isExpired(entry)) {
+        if (this._isRemovable(entry)) {
+          this._removeEntry(resolvedKey);
+        }
+      } else if (entry) {
+        // mark as the most recently used
+        this._entries.delete(resolvedKey);
+        this._entries.set(resolvedKey, entry);
+
+        if (extend) {
+          this.extendRemoval(resolvedKey);
+        }
+        value = entry.value;
+      }
+    }
+    return value;
+  }
+
+  // how long ago the value was fetched, in milliseconds
+  getAge(key) {
+    const entry = key ? this._entries.get(this._resolveKey(key)) : undefined;
+    return entry ? new Date().getTime() - entry.fetched : undefined;
+  }
+
+  // returns the value even when it has expired, as long as it expired no more than maxStaleness milliseconds ago
+  // and is still being kept.  Reading a stale value doesn't mark it as recently used
+  getStale(key, maxStaleness = this._staleTime) {
+    const entry = key ? this._entries.get(this._resolveKey(key)) : undefined;
+    const now = new Date().getTime();
+    let value;
+    if (entry && !this._isRemovable(entry, now) && (!this._isExpired(entry, now) || now - entry.expires <= maxStaleness)) {
+      value = entry.value;
+    }
+    return value;
+  }
+
+  // checks the persistent cache when the key isn't in memory, and keeps what it finds in memory again.
+  // values fetched more than maxAge milliseconds ago are ignored, but are left in the cache
+  async getOrLoad(key, maxAge) {
+    const age = this.getAge(key);
+    let value = (maxAge === undefined || age === undefined || age <= maxAge) ? this._get(key, this._extendOnRead) : undefined;
+
+    if (value === undefined && age === undefined && key && this._persistentCache) {
+      const record = await this._persistentCache.get(key).catch((error) => {
+        console.warn(`Unable to load ${key} from the persistent cache: ${error.message}`);
+      });
+
+      if (record && record.value && (maxAge === undefined || new Date().getTime() - record.fetched <= maxAge)) {
+        this._setEntry(record.key, record.value, record.aliases || [], record.fetched);
+        value = this._get(key, this._extendOnRead);
+      }
     }
+    this._recordLookup(value);
     return value;
   }
 
-  set(key, value) {
+  // aliases are additional keys that return the same value, without storing it twice
+  set(key, value, aliases = []) {
+    const fetched = new Date().getTime();
+    this._setEntry(key, value, aliases, fetched);
+
+    if (key && value && this._persistentCache) {
+      this._persistentCache.set(key, value, aliases, fetched).catch((error) => {
+        console.warn(`Unable to save ${key} to the persistent cache: ${error.message}`);
+      });
+    }
+  }
+
+  _setEntry(key, value, aliases, fetched) {
     if (key && value) {
-      this._keyValMap[key] = value;
-      this.scheduleRemoval(key);
+      this._removeAlias(key);
+      this._removeEntry(key);
+
+      const size = this._sizeOf(value);
+      if (this._maxBytes > 0 && size > this._maxBytes) {
+        // don't flush the whole cache for a value that can never fit
+        return;
+      }
+
+      const entry = {
+        value: value,
+        size: size,
+        fetched: fetched,
+        expires: null,
+        aliases: aliases.filter(alias => alias && alias !== key)
+      };
+      this._entries.set(key, entry);
+      this._bytes += entry.size;
+
+      for (const alias of entry.aliases) {
+        this._removeAlias(alias);
+        this._aliases.set(alias, key);
+      }
+
+      this.scheduleRemoval(key, fetched);
+      this._evict();
     }
   }
 
-  scheduleRemoval(key) {
-    if (this._cacheTTL > 0)  {
-      this._timeoutMap[key] = setTimeout((this.remove).bind(this), this._cacheTTL, key);
+  scheduleRemoval(key, from = new Date().getTime()) {
+    const entry = this._entries.get(this._resolveKey(key));
+    if (entry) {
+      entry.expires = (this._cacheTTL > 0) ? from + this._cacheTTL : null;
     }
   }
 
   extendRemoval(key) {
-    if (this._timeoutMap[key]) {
-      clearTimeout(this._timeoutMap[key]);
-    }
     this.scheduleRemoval(key);
   }
 
   remove(key) {
-    if (key && this._keyValMap && this._keyValMap[key]) {
-      delete this._keyValMap[key];
+    if (key && this._persistentCache) {
+      this._persistentCache.remove(key).catch((error) => {
+        console.warn(`Unable to remove ${key} from the persistent cache: ${error.message}`);
+      });
+    }
+    this._removeEntry(key);
+  }
 
-      if (this._timeoutMap[key]) {
-        clearTimeout(this._timeoutMap[key]);
-        delete this._timeoutMap[key];
+  // only removes the entry from memory, it can still be loaded from the persistent cache
+  _removeEntry(key) {
+    if (key) {
+      const resolvedKey = this._resolveKey(key);
+      const entry = this._entries.get(resolvedKey);
+
+      if (entry) {
+        this._entries.delete(resolvedKey);
+        this._bytes -= entry.size;
+
+        for (const alias of entry.aliases) {
+          if (this._aliases.get(alias) === resolvedKey) {
+            this._aliases.delete(alias);
+          }
+        }
       }
     }
   }
-};
\ No newline at end of file
+
+  _removeAlias(alias) {
+    const key = this._aliases.get(alias);
+    if (key !== undefined) {
+      this._aliases.delete(alias);
+      const entry = this._entries.get(key);
+      if (entry) {
+        entry.aliases = entry.aliases.filter(entryAlias => entryAlias !== alias);
+      }
+    }
+  }
+
+  clear() {
+    this._entries.clear();
+    this._aliases.clear();
+    this._bytes = 0;
+
+    if (this._persistentCache) {
+      this._persistentCache.clear().catch((error) => {
+        console.warn(`Unable to clear the persistent cache: ${error.message}`);
+      });
+    }
+  }
+
+  sweep() {
+    const now = new Date().getTime();
+    for (const [key, entry] of this._entries) {
+      if (this._isRemovable(entry, now)) {
+        this._removeEntry(key);
+      }
+    }
+  }
+
+  // remove the least recently used entries until the cache is within its limits
+  _evict() {
+    while (this._entries.size > 0 &&
+        ((this._maxEntries > 0 && this._entries.size > this._maxEntries) ||
+        (this._maxBytes > 0 && this._bytes > this._maxBytes))) {
+      const [key] = this._entries.keys();
+      this._removeEntry(key);
+    }
+  }
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const utils = require('./utils');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const FILE_EXTENSION = '.json.gz';
+
+// stores compressed values on disk along with the time they were fetched, so they survive restarts
+module.exports = class DiskCache {
+  constructor(cachePath, cacheTTL = 60000) {
+    this._cachePath = cachePath;
+    this._cacheTTL = Number(cacheTTL);
+    // resolves to false when the directory can't be created, which turns the disk cache off
+    this._ready = fs.promises.mkdir(cachePath, { recursive: true }).then(() => true, (error) => {
+      console.error(`Unable to create ${cachePath}, the disk cache is disabled: ${error.message}`);
+      clearInterval(this._sweepInterval);
+      return false;
+    });
+
+    if (this._cacheTTL > 0) {
+      this._sweepInterval = setInterval(() => {
+        this.sweep().catch((error) => {
+          console.warn(`Unable to remove expired entries from ${cachePath}: ${error.message}`);
+        });
+      }, this._cacheTTL);
+      this._sweepInterval.unref();
+    }
+  }
+
+  _filePath(key) {
+    // keys are hashed so that any key is a safe file name
+    const hash = crypto.createHash('sha1').update(`${key}`).digest('hex');
+    return path.join(this._cachePath, `${hash}${FILE_EXTENSION}`);
+  }
+
+  async _read(key) {
+    let record;
+    if (!await this._ready) return record;
+
+    try {
+      const contents = await fs.promises.readFile(this._filePath(key));
+      record = JSON.parse(await gunzip(contents));
+    } catch(error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Unable to read cached ${key}, ignoring: ${error.message}`);
+      }
+    }
+    return record;
+  }
+
+  async _write(key, record) {
+    if (!await this._ready) return;
+    await utils.writeFileAtomic(this._filePath(key), await gzip(JSON.stringify(record)));
+  }
+
+  // resolves to { key, value, aliases, fetched }, or nothing when the key isn't stored or has expired
+  async get(key) {
+    let record = await this._read(key);
+    if (record && record.alias !== undefined) {
+      record = await this._read(record.alias);
+    }
+
+    if (record && this._cacheTTL > 0 && record.fetched + this._cacheTTL <= new Date().getTime()) {
+      record = undefined;
+    }
+    return record;
+  }
+
+  async set(key, value, aliases = [], fetched = new Date().getTime()) {
+    await this._write(key, { key, value, aliases, fetched });
+    for (const alias of aliases) {
+      await this._write(alias, { alias: key, fetched });
+    }
+  }
+
+  async remove(key) {
+    if (!await this._ready) return;
+    const record = await this._read(key);
+    const keys = [key];
+    if (record && record.alias !== undefined) {
+      keys.push(record.alias);
+    } else if (record && record.aliases) {
+      keys.push(...record.aliases);
+    }
+
+    for (const fileKey of keys) {
+      await fs.promises.rm(this._filePath(fileKey), { force: true });
+    }
+  }
+
+  async clear() {
+    if (!await this._ready) return;
+    for (const fileName of await fs.promises.readdir(this._cachePath)) {
+      if (fileName.endsWith(FILE_EXTENSION)) {
+        await fs.promises.rm(path.join(this._cachePath, fileName), { force: true });
+      }
+    }
+  }
+
+  // files are written when a value is fetched, so the modified time is used to find expired entries
+  async sweep() {
+    if (!await this._ready) return;
+    const now = new Date().getTime();
+    for (const fileName of await fs.promises.readdir(this._cachePath)) {
+      if (!fileName.endsWith(FILE_EXTENSION)) continue;
+
+      const filePath = path.join(this._cachePath, fileName);
+      try {
+        const { mtimeMs } = await fs.promises.stat(filePath);
+        if (mtimeMs + this._cacheTTL <= now) {
+          await fs.promises.rm(filePath, { force: true });
+        }
+      } catch(error) {
+        if (error.code !== 'ENOENT') throw(error);
+      }
+    }
+  }
+};
@@ -6,6 +6,10 @@ const helmet = require('helmet');
 const crypto = require('crypto');
 
 const utils = require('./utils');
+const TokenStore = require('./tokenStore');
+const RateLimiter = require('./rateLimiter');
+const { helpError, formatError } = require('./helpErrors');
+const { SCHEMAS, validateBody } = require('./validator');
 
 const ComlinkStub = require('@swgoh-utils/comlink');
 const comlinkStub = new ComlinkStub({
@@ -20,6 +24,14 @@ const HelpFormatter = require('./helpFormatter');
 const helpFormatter = new HelpFormatter({
   comlinkStub: comlinkStub,
   playerCacheTime: process.env.PLAYER_CACHE_TIME || 30000,
+  playerCacheMaxEntries: process.env.PLAYER_CACHE_MAX_ENTRIES || 500,
+  playerCacheMaxSize: process.env.PLAYER_CACHE_MAX_SIZE || 512,
+  playerCacheExtendOnRead: process.env.PLAYER_CACHE_EXTEND_ON_READ,
+  playerCacheStaleTime: process.env.PLAYER_CACHE_STALE_TIME || 600000,
+  persistentCache: process.env.PERSISTENT_CACHE,
+  guildCacheTime: process.env.GUILD_CACHE_TIME || 60000,
+  guildCacheMaxEntries: process.env.GUILD_CACHE_MAX_ENTRIES || 100,
+  guildCacheStaleTime: process.env.GUILD_CACHE_STALE_TIME || 600000,
   concurrentPlayers: process.env.CONCURRENT_PLAYERS || 10,
   concurrentGuilds: process.env.CONCURRENT_GUILDS || 2,
   languages: process.env.LANGUAGES || 'ENG_US', // comma separated list
@@ -27,14 +39,21 @@ const helpFormatter = new HelpFormatter({
   useSegments: process.env.USE_SEGMENTS,
   useUnzip: process.env.USE_UNZIP,
   updateInterval: process.env.UPDATE_INTERVAL,
+  gameDataCacheSize: process.env.GAME_DATA_CACHE_SIZE || 256,
   dataPath: dataPath
 });
 
 let tokenMap = {};
 const timeoutMap = {};
-const AUTH_ERROR_CODE = 401;
+let userMap = Object.create(null);
+let authRequired = false;
 const TOKEN_DURATION = process.env.TOKEN_DURATION || 3600;
 const TOKEN_FILE_NAME = 'tokens';
+const tokenStore = new TokenStore(dataPath, TOKEN_FILE_NAME);
+const USER_FILE_NAME = 'users';
+
+// requests are limited per user, or per IP when auth is disabled
+const rateLimiter = new RateLimiter(process.env.RATE_LIMIT, process.env.RATE_LIMIT_WINDOW);
 
 const app = express();
 app.use(cors());
@@ -91,8 +110,11 @@ async function createToken(user) {
   let token = crypto.randomBytes(20).toString('hex');
 
   // link new token
-  tokenMap[token] = getTimeIn(TOKEN_DURATION);
-  addTokenTimeout(token, tokenMap[token]);
+  tokenMap[token] = {
+    user: user,
+    expires: getTimeIn(TOKEN_DURATION)
+  };
+  addTokenTimeout(token, tokenMap[token].expires);
 
   await saveTokens().catch((error) => {
     console.error(`Unable to save tokens: ${error.message}`);
@@ -103,8 +125,7 @@ async function createToken(user) {
 
 async function saveTokens() {
   try {
-    console.debug('Saving tokens...');
-    await utils.writeFile(dataPath, TOKEN_FILE_NAME, tokenMap);
+    await tokenStore.save(tokenMap);
   } catch(error) {
     throw(error);
   }
@@ -114,10 +135,10 @@ async function initTokens() {
   console.debug(`Loading tokens...`);
   try {
     let anyRemoved = false;
-    tokenMap = await utils.readFile(dataPath, TOKEN_FILE_NAME);
+    tokenMap = await tokenStore.load();
 
-    for (const [token, epoch] of Object.entries(tokenMap)) {
-      let removed = addTokenTimeout(token, epoch);
+    for (const [token, { expires }] of Object.entries(tokenMap)) {
+      let removed = addTokenTimeout(token, expires);
       if (removed) {
         anyRemoved = true;
       }
@@ -131,69 +152,504 @@ async function initTokens() {
   }
 }
 
+function addEnvironmentUser() {
+  // the USERNAME and PASSWORD environment variables define a user that can access every route
+  if (process.env.USERNAME && process.env.PASSWORD) {
+    userMap[process.env.USERNAME] = {
+      password: process.env.PASSWORD,
+      routes: null
+    };
+    authRequired = true;
+  }
+}
+addEnvironmentUser();
+
+async function initUsers() {
+  console.debug(`Loading users...`);
+  let users;
+  try {
+    users = await utils.readFile(dataPath, USER_FILE_NAME);
+  } catch(error) {
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    // fail closed, a users file that can't be read should not turn auth off
+    authRequired = true;
+    throw(error);
+  }
+
+  authRequired = true;
+  userMap = Object.create(null);
+  for (const [username, details] of Object.entries(users || {})) {
+    const { password, routes } = details || {};
+    if (!password) {
+      console.warn(`Ignoring user ${username}, no password was specified`);
+      continue;
+    }
+
+    userMap[username] = {
+      password: `${password}`,
+      routes: Array.isArray(routes) ? routes : null
+    };
+  }
+  addEnvironmentUser();
+}
+
+function isStringEqual(a, b) {
+  // compare digests so that the comparison takes the same time regardless of length
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function authenticate(username, password) {
+  const user = userMap[username];
+  return (user && isStringEqual(`${password}`, user.password)) ? true : false;
+}
+
+function getBearerToken(req) {
+  const auth = req.headers.authorization;
+  const [type, token] = auth ? auth.split(' ') : [];
+  return (type === 'Bearer' && token && Object.hasOwn(tokenMap, token)) ? token : undefined;
+}
+
+function getTokenUsername(token) {
+  const tokenDetails = (token && Object.hasOwn(tokenMap, token)) ? tokenMap[token] : undefined;
+  let username;
+  if (tokenDetails) {
+    // tokens saved before users were introduced were all issued to the USERNAME user
+    username = (tokenDetails.user === undefined) ? process.env.USERNAME : tokenDetails.user;
+  }
+  return username;
+}
+
+function getTokenUser(token) {
+  const username = getTokenUsername(token);
+  return username ? userMap[username] : undefined;
+}
+
+function isRouteAllowed(user, route) {
+  // users without a list of routes can access every route
+  return !user.routes || user.routes.some((allowedRoute) => {
+    return route === allowedRoute || route.startsWith(`${allowedRoute.replace(/\/$/, '')}/`);
+  });
+}
+
 app.post('/auth/signin', bodyParser.urlencoded({extended:false}), async (req, res, next) => {
   const user = req.body.username || 'none';
   const pass = req.body.password || '';
 
   try {
-    if (process.env.USERNAME && process.env.PASSWORD &&
-        (user !== process.env.USERNAME ||
-        pass !== process.env.PASSWORD)) {
-      res.status(AUTH_ERROR_CODE).json({
-        code: AUTH_ERROR_CODE,
-        error: 'Unauthorized',
-        error_description: 'Unable to authenticate user'
-      });
+    if (authRequired && !authenticate(user, pass)) {
+      sendError(res, helpError('UNAUTHORIZED', 'Unable to authenticate user'));
     } else {
-      let token = await createToken(user);
+      // tokens issued while auth is disabled are not linked to a user
+      let token = await createToken(authRequired ? user : null);
 
-      res.status(200).json({
-        token_type: 'bearer',
-        access_token: token,
-        expires_in: TOKEN_DURATION
-      });
+      res.status(200).json(getTokenResponse(token));
     }
   } catch(error) {
     next(error);
   }
 });
 
+function getTokenResponse(token) {
+  return {
+    token_type: 'bearer',
+    access_token: token,
+    expires_in: TOKEN_DURATION
+  };
+}
+
+function sendError(res, response) {
+  res.status(response.code).json(response);
+}
+
+function sendUnauthorized(res) {
+  sendError(res, helpError('UNAUTHORIZED'));
+}
+
+// the token management routes only need a valid token, they are not limited by the user's routes
+function requireToken(req, res, next) {
+  const token = getBearerToken(req);
+  if (token && (!authRequired || getTokenUser(token))) {
+    req.token = token;
+    next();
+  } else {
+    sendUnauthorized(res);
+  }
+}
+
+app.post('/auth/signout', requireToken, async (req, res, next) => {
+  try {
+    await removeToken(req.token);
+
+    res.status(200).json({
+      message: 'Token revoked'
+    });
+  } catch(error) {
+    next(error);
+  }
+});
+
+app.post('/auth/refresh', requireToken, async (req, res, next) => {
+  try {
+    const token = await createToken(tokenMap[req.token].user);
+    await removeToken(req.token);
+
+    res.status(200).json(getTokenResponse(token));
+  } catch(error) {
+    next(error);
+  }
+});
+
+app.get('/auth/token', requireToken, async (req, res, next) => {
+  try {
+    const { user, expires } = tokenMap[req.token];
+
+    res.status(200).json({
+      token_type: 'bearer',
+      user: (user === undefined) ? process.env.USERNAME : user,
+      expires: expires,
+      expires_in: Math.max(0, Math.floor(getTimeUntil(expires) / 1000))
+    });
+  } catch(error) {
+    next(error);
+  }
+});
+
+// weak, because compression changes the bytes sent but not the content
+function getETag(...values) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(values)).digest('base64url');
+  return `W/"${hash}"`;
+}
+
+function isETagMatch(req, etag) {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (!ifNoneMatch) {
+    return false;
+  } else if (ifNoneMatch.trim() === '*') {
+    return true;
+  }
+
+  // weak comparison, the W/ prefix is ignored
+  const opaqueTag = (tag) => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some(tag => opaqueTag(tag) === opaqueTag(etag));
+}
+
+function isModifiedSince(req, lastModified) {
+  const since = Date.parse(req.get('If-Modified-Since'));
+  // http dates only have second precision
+  return isNaN(since) || Math.floor(lastModified / 1000) * 1000 > since;
+}
+
+// sets the ETag and Last-Modified headers, and replies with a 304 when the client already has this response.
+// POST requests are answered with a 304 as well, since game data is requested by POST
+function sendIfModified(req, res, etag, lastModified) {
+  res.set('ETag', etag);
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+
+  // If-Modified-Since is only used when the client didn't send an ETag
+  const notModified = req.get('If-None-Match') ? isETagMatch(req, etag) :
+    (lastModified && req.get('If-Modified-Since') && !isModifiedSince(req, lastModified));
+  if (notModified) {
+    res.status(304).end();
+  }
+  return !notModified;
+}
+
 app.get('/version', async (req, res, next) => {
   try {
-    res.status(200).json(await helpFormatter.getVersion());
+    const version = await helpFormatter.getVersion();
+    const { updated } = helpFormatter.getDataVersion();
+
+    if (sendIfModified(req, res, getETag(version.game, version.language), updated)) {
+      res.status(200).json(version);
+    }
   } catch(error) {
     next(error);
   }
 });
 
-// check for authorization token header if username and password are enabled
-if (process.env.USERNAME && process.env.PASSWORD) {
-  app.use((req, res, next) => {
-    const auth = req.headers.authorization;
-    const [type, token] = auth ? auth.split(' ') : [];
-    if (type === 'Bearer' && tokenMap[token]) {
-      next();
+// the admin routes use their own credential, sent with basic auth, and are disabled unless it is configured
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+
+function isAdmin(req) {
+  const auth = req.headers.authorization;
+  const [type, credentials] = auth ? auth.split(' ') : [];
+  if (type !== 'Basic' || !credentials) {
+    return false;
+  }
+
+  const decoded = Buffer.from(credentials, 'base64').toString();
+  const separator = decoded.indexOf(':');
+  if (separator < 0) {
+    return false;
+  }
+
+  // check both, so the time taken doesn't reveal which one was wrong
+  const usernameMatches = isStringEqual(decoded.slice(0, separator), ADMIN_USERNAME);
+  const passwordMatches = isStringEqual(decoded.slice(separator + 1), ADMIN_PASSWORD);
+  return usernameMatches && passwordMatches;
+}
+
+// tokens are listed by a digest, so the admin routes never send a usable token
+function getTokenId(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
+}
+
+const adminRouter = express.Router();
+
+adminRouter.use((req, res, next) => {
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    sendError(res, helpError('FORBIDDEN', 'The admin routes are disabled'));
+  } else if (!isAdmin(req)) {
+    res.set('WWW-Authenticate', 'Basic realm="admin"');
+    sendUnauthorized(res);
+  } else {
+    next();
+  }
+});
+
+adminRouter.get('/caches', (req, res) => {
+  res.status(200).json(helpFormatter.getCacheStats());
+});
+
+adminRouter.delete('/caches', (req, res) => {
+  helpFormatter.flushCaches();
+  res.status(200).json({
+    message: 'Caches flushed'
+  });
+});
+
+adminRouter.delete('/players/:allyCode', (req, res, next) => {
+  try {
+    const cached = helpFormatter.evictPlayer(req.params.allyCode);
+    res.status(200).json({
+      message: cached ? 'Player evicted' : 'Player was not cached'
+    });
+  } catch(error) {
+    next(error);
+  }
+});
+
+adminRouter.get('/tokens', (req, res) => {
+  res.status(200).json(Object.entries(tokenMap).map(([token, { user, expires }]) => {
+    return {
+      id: getTokenId(token),
+      user: (user === undefined) ? process.env.USERNAME : user,
+      expires: expires,
+      expires_in: Math.max(0, Math.floor(getTimeUntil(expires) / 1000))
+    };
+  }));
+});
+
+adminRouter.delete('/tokens/:id', async (req, res, next) => {
+  try {
+    const token = Object.keys(tokenMap).find(token => getTokenId(token) === req.params.id);
+    if (!token) {
+      sendError(res, helpError('TOKEN_NOT_FOUND'));
+      return;
+    }
+
+    await removeToken(token);
+    res.status(200).json({
+      message: 'Token revoked'
+    });
+  } catch(error) {
+    next(error);
+  }
+});
+
+adminRouter.get('/data', (req, res) => {
+  res.status(200).json(helpFormatter.getLoadedData());
+});
+
+adminRouter.use((req, res) => {
+  sendError(res, helpError('ROUTE_NOT_FOUND'));
+});
+
+app.use('/admin', adminRouter);
+
+// check for authorization token header if any users are configured
+app.use((req, res, next) => {
+  if (!authRequired) {
+    next();
+    return;
+  }
+
+  const user = getTokenUser(getBearerToken(req));
+  if (!user) {
+    sendUnauthorized(res);
+  } else if (!isRouteAllowed(user, req.path)) {
+    sendError(res, helpError('FORBIDDEN'));
+  } else {
+    next();
+  }
+});
+
+app.use(bodyParser.json());
+
+function getAllyCodeCount(body = {}) {
+  const allyCodes = body.allyCodes || body.allycodes || body.allycode || body.allyCode;
+  return Array.isArray(allyCodes) ? Math.max(1, allyCodes.length) : 1;
+}
+
+// guild members are only known once the guild has been fetched, so this many are reserved for each guild
+const RESERVED_GUILD_MEMBERS = 50;
+
+function isGuildRequest(req) {
+  return req.path === '/swgoh/guilds' || (req.path === '/swgoh/units' && req.body && req.body.guild === true);
+}
+
+function getReservedMembers(req) {
+  return isGuildRequest(req) ? getAllyCodeCount(req.body) * RESERVED_GUILD_MEMBERS : 0;
+}
+
+// a point per ally code, and a point per guild member since each member is a player fetch
+function getRequestCost(req) {
+  let cost = 1;
+  switch (req.path) {
+    case '/swgoh/players':
+    case '/swgoh/roster':
+    case '/swgoh/units':
+    case '/swgoh/guilds':
+      cost = getAllyCodeCount(req.body) + getReservedMembers(req);
+      break;
+  }
+  return cost;
+}
+
+// swaps the members reserved for a guild request for the members of the guilds that were actually fetched, which
+// is called whether or not the request succeeded
+function settleGuildMembers(req, res, usage) {
+  const key = res.locals.rateLimitKey;
+  const adjustment = (usage.members || 0) - getReservedMembers(req);
+  if (key && adjustment !== 0) {
+    const { remaining } = rateLimiter.charge(key, adjustment);
+    if (!res.headersSent) {
+      res.set('X-RateLimit-Remaining', remaining);
+    }
+  }
+}
+
+// limit each user, or each IP when auth is disabled, to a weighted number of requests per window.  Users are
+// used rather than tokens, so signing in again doesn't start a new window
+app.use((req, res, next) => {
+  if (!rateLimiter.enabled) {
+    next();
+    return;
+  }
+
+  const username = authRequired ? getTokenUsername(getBearerToken(req)) : undefined;
+  const key = username ? `user:${username}` : `ip:${req.ip}`;
+  const { allowed, limit, remaining, reset } = rateLimiter.consume(key, getRequestCost(req));
+  res.locals.rateLimitKey = key;
+  const retryAfter = Math.max(0, Math.ceil((reset - new Date().getTime()) / 1000));
+
+  res.set({
+    'X-RateLimit-Limit': limit,
+    'X-RateLimit-Remaining': remaining,
+    'X-RateLimit-Reset': Math.ceil(reset / 1000)
+  });
+
+  if (allowed) {
+    next();
+  } else {
+    res.set('Retry-After', retryAfter);
+    sendError(res, helpError('RATE_LIMITED', `Rate limit exceeded, retry in ${retryAfter} seconds`));
+  }
+});
+
+// compression passes drain listeners on to its own stream and can't remove them again, so a single
+// listener is added for the whole response rather than one per wait
+function createDrainWaiter(res) {
+  let resume = null;
+  const done = () => {
+    if (resume) {
+      const resolve = resume;
+      resume = null;
+      resolve();
+    }
+  };
+  res.on('drain', done);
+  res.on('close', done);
+
+  return () => new Promise((resolve) => {
+    if (res.destroyed) {
+      resolve();
     } else {
-      res.status(AUTH_ERROR_CODE).json({
-        code: AUTH_ERROR_CODE,
-        error: 'Unauthorized',
-        error_description: 'User not authenticated'
-      });
+      resume = resolve;
     }
   });
 }
 
-app.use(bodyParser.json());
+function acceptsNDJSON(req) {
+  return req.accepts(['json', 'application/x-ndjson']) === 'application/x-ndjson';
+}
+
+// writes one element at a time, waiting for the client to catch up, rather than building the whole response in memory
+async function sendElements(req, res, elements) {
+  const ndjson = acceptsNDJSON(req);
+  const waitForDrain = createDrainWaiter(res);
+  let first = true;
 
-app.post('/swgoh/data', async (req, res, next) => {
+  res.status(200).type(ndjson ? 'application/x-ndjson' : 'json');
+  if (!ndjson) {
+    res.write('[');
+  }
+
+  for (const element of elements) {
+    if (res.destroyed) return;
+
+    let chunk = JSON.stringify(element);
+    if (ndjson) {
+      chunk = `${chunk}\n`;
+    } else if (!first) {
+      chunk = `,${chunk}`;
+    }
+    first = false;
+
+    if (!res.write(chunk)) {
+      await waitForDrain();
+    }
+  }
+
+  res.end(ndjson ? '' : ']');
+}
+
+async function sendGameData(req, res, options) {
+  // game data only changes with the game data or localization version, so those identify the response
+  const { game, language, updated } = helpFormatter.getDataVersion();
+  res.vary('Accept');
+  // an invalid request is an error even when the client has a cached copy of the game data
+  helpFormatter.checkGameDataOptions(options);
+  if (game) {
+    const ndjson = !options.structure && acceptsNDJSON(req);
+    if (!sendIfModified(req, res, getETag(game, language, options, ndjson), updated)) {
+      return;
+    }
+  }
+
+  if (options.structure) {
+    res.status(200).json(await helpFormatter.getGameData(options));
+  } else {
+    await sendElements(req, res, await helpFormatter.getGameDataIterator(options));
+  }
+}
+
+app.post('/swgoh/data', validateBody(SCHEMAS.data), async (req, res, next) => {
   try {
-    res.status(200).json(await helpFormatter.getGameData(req.body));
+    await sendGameData(req, res, req.body);
   } catch(error) {
     next(error);
   }
 });
 
-app.post('/swgoh/events', async (req, res, next) => {
+app.post('/swgoh/events', validateBody(SCHEMAS.events), async (req, res, next) => {
   try {
     res.status(200).json(await helpFormatter.getEvents(req.body));
   } catch(error) {
@@ -201,33 +657,65 @@ app.post('/swgoh/events', async (req, res, next) => {
   }
 });
 
-app.post('/swgoh/battles', async (req, res, next) => {
+app.post('/swgoh/battles', validateBody(SCHEMAS.battles), async (req, res, next) => {
   try {
-    res.status(200).json(await helpFormatter.getGameData({
+    await sendGameData(req, res, {
       ...req.body,
       collection: 'campaign'
-    }));
+    });
   } catch(error) {
     next(error);
   }
 });
 
-app.post('/swgoh/players', async (req, res, next) => {
+// players and guilds served from an expired cache entry are marked with a stale field, and the response with a Warning header
+function sendMaybeStale(res, response) {
+  if (response.some(entry => entry && entry.stale === true)) {
+    res.set('Warning', '110 - "Response is Stale"');
+  }
+  res.status(200).json(response);
+}
+
+app.post('/swgoh/players', validateBody(SCHEMAS.players), async (req, res, next) => {
   try {
-    res.status(200).json(await helpFormatter.getPlayer(req.body));
+    sendMaybeStale(res, await helpFormatter.getPlayer(req.body));
   } catch(error) {
     next(error);
   }
 });
 
-app.post('/swgoh/guilds', async (req, res, next) => {
+app.post('/swgoh/roster', validateBody(SCHEMAS.roster), async (req, res, next) => {
   try {
-    res.status(200).json(await helpFormatter.getGuild(req.body));
+    res.status(200).json(await helpFormatter.getRoster(req.body));
   } catch(error) {
     next(error);
   }
 });
 
+app.post('/swgoh/guilds', validateBody(SCHEMAS.guilds), async (req, res, next) => {
+  const usage = {};
+  try {
+    const response = await helpFormatter.getGuild(req.body, usage);
+    settleGuildMembers(req, res, usage);
+    sendMaybeStale(res, response);
+  } catch(error) {
+    settleGuildMembers(req, res, usage);
+    next(error);
+  }
+});
+
+app.post('/swgoh/units', validateBody(SCHEMAS.units), async (req, res, next) => {
+  const usage = {};
+  try {
+    const response = await helpFormatter.getUnits(req.body, usage);
+    settleGuildMembers(req, res, usage);
+    res.status(200).json(response);
+  } catch(error) {
+    settleGuildMembers(req, res, usage);
+    next(error);
+  }
+});
+
 app.post('/update', async (req, res, next) => {
   try {
     const force = true;
@@ -240,70 +728,37 @@ app.post('/update', async (req, res, next) => {
 });
 
 app.use((req, res, next) => {
-  res.status(404).json({
-    "message": 'Route not found'
-  });
+  sendError(res, helpError('ROUTE_NOT_FOUND'));
 });
 
-const ERROR_MAP = {
-  2: {
-    code: 400,
-    error: "Error"
-  },
-  3: {
-    code: 400,
-    error: "Server Error"
-  },
-  7: {
-    code: 400,
-    error: "Server Unavailable"
-  },
-  13: {
-    code: 400,
-    error: "Server Outage"
-  },
-  20: {
-    code: 400,
-    error: "Network Unavailable"
-  },
-  32: {
-    code: 404,
-    error: "Could not find any players affiliated with these allycodes"
-  },
-  33: {
-    code: 404,
-    error: "Event not found"
+// emulate the status codes and messages returned by api.swgoh.help
+app.use((error, req, res, next) => {
+  // a streamed response has already started, let express close the connection
+  if (res.headersSent) {
+    next(error);
+    return;
   }
-};
 
-app.use((error, req, res, next) => {
-  let responseCode = 400;
-  const response = {
-    code: responseCode,
-    error: error.name,
-    error_description: error.message
-  };
-  if (error && error.response && error.response.body) {
-    response.error = error.response.body.message;
-    response.error_description = error.response.body.message;
-    if (error.response.body.code && ERROR_MAP[error.response.body.code]) {
-      let errorDetails = ERROR_MAP[error.response.body.code];
-      responseCode = errorDetails.code;
-      response.code = responseCode;
-      response.error_description = errorDetails.error;
-    }
-  } else if(error instanceof HelpFormatter.NotInGuildError) {
-    responseCode = 404;
-    response.code = 404;
-    response.error_description = 'Could not find any guilds affiliated with these allycodes';
+  // the validators only describe a successful response
+  res.removeHeader('ETag');
+  res.removeHeader('Last-Modified');
+
+  const response = formatError(error);
+  if (response.code >= 500) {
+    // the full error, so that unexpected ones can be traced
+    console.error(`Request to ${req.path} failed:`, error);
   }
 
-  res.status(responseCode).json(response);
+  sendError(res, response);
 });
 
 module.exports = app;
 module.exports.initHelpFormatter = async() => {
 
+  await initUsers().catch((error) => {
+    console.error(`Error loading users, only the USERNAME user will be able to sign in: ${error.message}`);
+  });
+
   await initTokens().catch((error) => {
     console.warn(`Error initializing tokens, ignoring: ${error.message}`);
   });
@@ -0,0 +1,272 @@
+// calculates galactic power and crew power from the game's own tables in the table and xpTable collections,
+// using the same formulas as swgoh-stats.  Units are expected in the .help format produced by _formatUnit
+
+const RARITIES = {
+  ONE_STAR: 1,
+  TWO_STAR: 2,
+  THREE_STAR: 3,
+  FOUR_STAR: 4,
+  FIVE_STAR: 5,
+  SIX_STAR: 6,
+  SEVEN_STAR: 7
+};
+
+const COMBAT_TYPE_CHARACTER = 1;
+const COMBAT_TYPE_SHIP = 2;
+
+const GP_MULTIPLIER = 1.5;
+// ships without a crew weight their level and abilities instead of their crew's power
+const CREWLESS_LEVEL_FACTOR = 3.5;
+const CREWLESS_ABILITY_FACTOR = 5.74;
+const CREWLESS_REINFORCEMENT_FACTOR = 1.61;
+// relic tiers are numbered from 2 in the roster, but from 0 in the tables
+const RELIC_TIER_OFFSET = 2;
+
+function getGearTier(key) {
+  const result = /TIER_0?(\d+)/.exec(key);
+  return result ? Number(result[1]) : undefined;
+}
+
+function rowsToMap(rowList, getKey) {
+  const map = {};
+  for (const { key, value } of (rowList || [])) {
+    const mappedKey = getKey(key);
+    if (mappedKey !== undefined) {
+      map[mappedKey] = Number(value);
+    }
+  }
+  return map;
+}
+
+// missing table entries count as 0, so incomplete game data can't produce NaN
+function lookup(table, ...keys) {
+  let value = table;
+  for (const key of keys) {
+    value = (value !== undefined && value !== null) ? value[key] : undefined;
+  }
+  return Number(value) || 0;
+}
+
+module.exports.buildGpTables = function(tableList, xpTableList) {
+  const tables = {};
+
+  for (const { id, rowList } of (tableList || [])) {
+    switch (id) {
+      case 'galactic_power_modifier_per_ship_crew_size_table':
+        tables.crewSizeFactor = rowsToMap(rowList, key => key);
+        break;
+      case 'crew_rating_per_unit_rarity':
+        tables.unitRarity = rowsToMap(rowList, key => RARITIES[key]);
+        break;
+      case 'crew_rating_per_gear_piece_at_tier':
+        tables.gearPieceCp = rowsToMap(rowList, getGearTier);
+        break;
+      case 'galactic_power_per_complete_gear_tier_table':
+        // a completed gear tier is one less than the unit's gear level, and gear 1 has nothing completed
+        tables.gearLevel = {
+          1: 0,
+          ...rowsToMap(rowList, (key) => {
+            const tier = getGearTier(key);
+            return (tier === undefined) ? undefined : tier + 1;
+          })
+        };
+        break;
+      case 'galactic_power_per_tier_slot_table':
+        tables.gearPieceGp = {};
+        for (const { key, value } of (rowList || [])) {
+          const [tier, slot] = key.split(':');
+          tables.gearPieceGp[tier] = tables.gearPieceGp[tier] || {};
+          // the table's slots start at 1, equipped slots start at 0
+          tables.gearPieceGp[tier][Number(slot) - 1] = Number(value);
+        }
+        break;
+      case 'crew_contribution_multiplier_per_rarity':
+        tables.shipRarityFactor = rowsToMap(rowList, key => RARITIES[key]);
+        break;
+      case 'galactic_power_per_tagged_ability_level_table':
+        tables.abilityTag = rowsToMap(rowList, key => key);
+        break;
+      case 'crew_rating_per_mod_rarity_level_tier':
+        tables.modGp = {};
+        tables.modCp = {};
+        for (const { key, value } of (rowList || [])) {
+          const [pips, level, tier, set] = key.split(':');
+          // the set doesn't change the power, so only set 0 is used
+          if (set !== '0') continue;
+
+          tables.modGp[pips] = tables.modGp[pips] || {};
+          tables.modGp[pips][level] = tables.modGp[pips][level] || {};
+          tables.modGp[pips][level][tier] = Number(value);
+          // the tier doesn't change crew power
+          if (tier === '1') {
+            tables.modCp[pips] = tables.modCp[pips] || {};
+            tables.modCp[pips][level] = Number(value);
+          }
+        }
+        break;
+      case 'galactic_power_per_relic_tier':
+        tables.relicTierGp = rowsToMap(rowList, key => Number(key) + RELIC_TIER_OFFSET);
+        break;
+      case 'galactic_power_modifier_per_relic_tier':
+        tables.relicLevelFactorGp = rowsToMap(rowList, key => Number(key) + RELIC_TIER_OFFSET);
+        break;
+      case 'crew_rating_per_relic_tier':
+        tables.relicTierCp = rowsToMap(rowList, key => Number(key) + RELIC_TIER_OFFSET);
+        break;
+      case 'crew_rating_modifier_per_relic_tier':
+        tables.relicLevelFactorCp = rowsToMap(rowList, key => Number(key) + RELIC_TIER_OFFSET);
+        break;
+    }
+  }
+
+  for (const { id, rowList } of (xpTableList || [])) {
+    const levels = {};
+    for (const { index, xp } of (rowList || [])) {
+      levels[index + 1] = Number(xp);
+    }
+
+    switch (id) {
+      case 'crew_rating_per_unit_level':
+        tables.unitLevel = levels;
+        break;
+      case 'crew_rating_per_ability_level':
+        tables.abilityLevel = levels;
+        break;
+      case 'galactic_power_per_ship_level_table':
+        tables.shipLevel = levels;
+        break;
+      case 'galactic_power_per_ship_ability_level_table':
+        tables.shipAbilityLevel = levels;
+        break;
+    }
+  }
+
+  return tables;
+};
+
+function getPowerOverrideTag({ id, tier }, skillMap) {
+  const skillSchema = skillMap[id];
+  return (skillSchema && skillSchema.powerOverrideTags) ? skillSchema.powerOverrideTags[tier] : undefined;
+}
+
+function isReinforcement(tag) {
+  return tag ? tag.startsWith('reinforcement') : false;
+}
+
+// zetas, omicrons and ship reinforcement abilities have their own power, other abilities use their level
+function getSkillGp(skill, tables, skillMap, levelTable = tables.abilityLevel) {
+  const tag = getPowerOverrideTag(skill, skillMap);
+  return (tag && tables.abilityTag && tables.abilityTag[tag] !== undefined) ?
+    lookup(tables.abilityTag, tag) : lookup(levelTable, skill.tier);
+}
+
+function getRelicTier(unit) {
+  return unit.relic ? unit.relic.currentTier : 0;
+}
+
+function calcCharGp(unit, tables, skillMap) {
+  let gp = lookup(tables.unitLevel, unit.level) + lookup(tables.unitRarity, unit.rarity) + lookup(tables.gearLevel, unit.gear);
+
+  for (const { slot } of unit.equipped) {
+    gp += lookup(tables.gearPieceGp, unit.gear, slot);
+  }
+  for (const skill of unit.skills) {
+    gp += getSkillGp(skill, tables, skillMap);
+  }
+  gp += (unit.purchasedAbilityId || []).length * lookup(tables.abilityTag, 'ultimate');
+  for (const { pips, level, tier } of unit.mods) {
+    gp += lookup(tables.modGp, pips, level, tier);
+  }
+
+  const relicTier = getRelicTier(unit);
+  if (relicTier > RELIC_TIER_OFFSET) {
+    gp += lookup(tables.relicTierGp, relicTier) + unit.level * lookup(tables.relicLevelFactorGp, relicTier);
+  }
+
+  return Math.floor(gp * GP_MULTIPLIER);
+}
+
+// how much a character contributes when crewing a ship
+function calcCharCp(unit, tables) {
+  let cp = lookup(tables.unitLevel, unit.level) + lookup(tables.unitRarity, unit.rarity) + lookup(tables.gearLevel, unit.gear);
+  cp += lookup(tables.gearPieceCp, unit.gear) * unit.equipped.length;
+
+  for (const { tier } of unit.skills) {
+    cp += lookup(tables.abilityLevel, tier);
+  }
+  for (const { pips, level } of unit.mods) {
+    cp += lookup(tables.modCp, pips, level);
+  }
+
+  const relicTier = getRelicTier(unit);
+  if (relicTier > RELIC_TIER_OFFSET) {
+    cp += lookup(tables.relicTierCp, relicTier) + unit.level * lookup(tables.relicLevelFactorCp, relicTier);
+  }
+
+  return cp;
+}
+
+function calcShipGp(ship, crew, tables, skillMap) {
+  let gp;
+
+  if (crew.length === 0) {
+    let ability = 0;
+    let reinforcement = 0;
+    for (const skill of ship.skills) {
+      if (isReinforcement(getPowerOverrideTag(skill, skillMap))) {
+        reinforcement += getSkillGp(skill, tables, skillMap, tables.shipAbilityLevel);
+      } else {
+        ability += getSkillGp(skill, tables, skillMap, tables.shipAbilityLevel);
+      }
+    }
+
+    const level = lookup(tables.shipLevel, ship.level);
+    gp = (level * CREWLESS_LEVEL_FACTOR + ability * CREWLESS_ABILITY_FACTOR + reinforcement * CREWLESS_REINFORCEMENT_FACTOR) *
+      lookup(tables.shipRarityFactor, ship.rarity);
+    gp += level + ability + reinforcement;
+  } else {
+    gp = crew.reduce((total, member) => total + member.gp, 0);
+    gp *= lookup(tables.shipRarityFactor, ship.rarity) * lookup(tables.crewSizeFactor, crew.length);
+    gp += lookup(tables.shipLevel, ship.level);
+    for (const skill of ship.skills) {
+      gp += getSkillGp(skill, tables, skillMap, tables.shipAbilityLevel);
+    }
+  }
+
+  return Math.floor(gp * GP_MULTIPLIER);
+}
+
+// fills in roster[].gp, and crew[].gp and crew[].cp for ships.  Characters are calculated first, since a ship's
+// power comes from its crew.  A ship whose crew isn't in the roster is left at 0
+module.exports.calcRosterGp = function(roster, tables, skillMap) {
+  const characters = {};
+  for (const unit of roster) {
+    if (unit.combatType === COMBAT_TYPE_CHARACTER) {
+      unit.gp = calcCharGp(unit, tables, skillMap);
+      characters[unit.defId] = unit;
+    }
+  }
+
+  for (const ship of roster) {
+    if (ship.combatType !== COMBAT_TYPE_SHIP) continue;
+
+    const crew = ship.crew.map(({ unitId }) => characters[unitId]);
+    if (crew.some(member => !member)) continue;
+
+    ship.crew.forEach((member, index) => {
+      member.gp = crew[index].gp;
+      member.cp = calcCharCp(crew[index], tables);
+    });
+    ship.gp = calcShipGp(ship, crew, tables, skillMap);
+  }
+
+  return roster;
+};
+
+module.exports.COMBAT_TYPE_CHARACTER = COMBAT_TYPE_CHARACTER;
+module.exports.COMBAT_TYPE_SHIP = COMBAT_TYPE_SHIP;
+module.exports.CREWLESS_LEVEL_FACTOR = CREWLESS_LEVEL_FACTOR;
+module.exports.RELIC_TIER_OFFSET = RELIC_TIER_OFFSET;
+module.exports.calcCharGp = calcCharGp;
+module.exports.calcCharCp = calcCharCp;
+module.exports.calcShipGp = calcShipGp;
@@ -0,0 +1,175 @@
+const HelpFormatter = require('./helpFormatter');
+const { ValidationError } = require('./validator');
+
+// status codes and messages as returned by api.swgoh.help
+const HELP_ERRORS = {
+  BAD_REQUEST: {
+    code: 400,
+    error: 'Bad Request',
+    error_description: 'Invalid request'
+  },
+  INVALID_JSON: {
+    code: 400,
+    error: 'Bad Request',
+    error_description: 'Invalid JSON body'
+  },
+  NO_ALLYCODE: {
+    code: 400,
+    error: 'Bad Request',
+    error_description: 'No allycode specified'
+  },
+  INVALID_ALLYCODE: {
+    code: 400,
+    error: 'Bad Request',
+    error_description: 'Invalid allycode'
+  },
+  LANGUAGE_NOT_FOUND: {
+    code: 400,
+    error: 'Bad Request',
+    error_description: 'Language not found'
+  },
+  UNAUTHORIZED: {
+    code: 401,
+    error: 'Unauthorized',
+    error_description: 'User not authenticated'
+  },
+  FORBIDDEN: {
+    code: 403,
+    error: 'Forbidden',
+    error_description: 'User not permitted to access this route'
+  },
+  ROUTE_NOT_FOUND: {
+    code: 404,
+    error: 'Not Found',
+    error_description: 'Route not found'
+  },
+  PLAYER_NOT_FOUND: {
+    code: 404,
+    error: 'Not Found',
+    error_description: 'Could not find any players affiliated with these allycodes'
+  },
+  GUILD_NOT_FOUND: {
+    code: 404,
+    error: 'Not Found',
+    error_description: 'Could not find any guilds affiliated with these allycodes'
+  },
+  EVENT_NOT_FOUND: {
+    code: 404,
+    error: 'Not Found',
+    error_description: 'Event not found'
+  },
+  TOKEN_NOT_FOUND: {
+    code: 404,
+    error: 'Not Found',
+    error_description: 'Token not found'
+  },
+  COLLECTION_NOT_FOUND: {
+    code: 404,
+    error: 'Not Found',
+    error_description: 'Collection not found'
+  },
+  RATE_LIMITED: {
+    code: 429,
+    error: 'Too Many Requests',
+    error_description: 'Rate limit exceeded'
+  },
+  SERVER_ERROR: {
+    code: 500,
+    error: 'Internal Server Error',
+    error_description: 'Server error'
+  },
+  SERVICE_UNAVAILABLE: {
+    code: 503,
+    error: 'Service Unavailable',
+    error_description: 'Service unavailable'
+  },
+  TIMEOUT: {
+    code: 504,
+    error: 'Gateway Timeout',
+    error_description: 'Request timed out'
+  }
+};
+
+// error codes returned in the body of comlink error responses
+const COMLINK_ERROR_MAP = {
+  2: {
+    ...HELP_ERRORS.BAD_REQUEST,
+    error_description: 'Error'
+  },
+  3: {
+    ...HELP_ERRORS.BAD_REQUEST,
+    error_description: 'Server Error'
+  },
+  7: HELP_ERRORS.SERVICE_UNAVAILABLE,
+  13: HELP_ERRORS.SERVICE_UNAVAILABLE,
+  20: HELP_ERRORS.SERVICE_UNAVAILABLE,
+  32: HELP_ERRORS.PLAYER_NOT_FOUND,
+  33: HELP_ERRORS.EVENT_NOT_FOUND
+};
+
+// errors thrown while formatting the response
+const FORMATTER_ERROR_MAP = [
+  [HelpFormatter.NoAllyCodeError, HELP_ERRORS.NO_ALLYCODE],
+  [HelpFormatter.InvalidAllyCodeError, HELP_ERRORS.INVALID_ALLYCODE],
+  [HelpFormatter.NotInGuildError, HELP_ERRORS.GUILD_NOT_FOUND],
+  [HelpFormatter.GuildNotFoundError, HELP_ERRORS.GUILD_NOT_FOUND],
+  [HelpFormatter.CollectionNotFoundError, HELP_ERRORS.COLLECTION_NOT_FOUND],
+  [HelpFormatter.LanguageNotFoundError, HELP_ERRORS.LANGUAGE_NOT_FOUND],
+  [HelpFormatter.GameDataUnavailableError, HELP_ERRORS.SERVICE_UNAVAILABLE]
+];
+
+// network errors that mean comlink could not be reached
+const UNAVAILABLE_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE'
+];
+
+function helpError(name, description) {
+  const response = { ...HELP_ERRORS[name] };
+  if (description) {
+    response.error_description = description;
+  }
+  return response;
+}
+
+function formatError(error) {
+  let response;
+
+  if (!error) {
+    response = helpError('SERVER_ERROR');
+  } else if (error.response && error.response.body) {
+    // comlink replied with an error
+    const body = error.response.body;
+    if (body.code && COMLINK_ERROR_MAP[body.code]) {
+      response = { ...COMLINK_ERROR_MAP[body.code] };
+    } else if (error.response.statusCode >= 500) {
+      response = helpError('SERVICE_UNAVAILABLE');
+    } else {
+      response = helpError('BAD_REQUEST', body.message || error.message);
+    }
+  } else if (error.name === 'TimeoutError' || error.code === 'ETIMEDOUT' || error.gotCode === 'ETIMEDOUT') {
+    response = helpError('TIMEOUT');
+  } else if (UNAVAILABLE_ERROR_CODES.includes(error.code)) {
+    response = helpError('SERVICE_UNAVAILABLE');
+  } else if (error.type === 'entity.parse.failed') {
+    // body-parser was unable to parse the request body
+    response = helpError('INVALID_JSON');
+  } else if (error instanceof ValidationError) {
+    response = helpError('BAD_REQUEST', error.message);
+  } else {
+    const [, details] = FORMATTER_ERROR_MAP.find(([errorClass]) => error instanceof errorClass) || [];
+    // anything else is a bug rather than a problem with the request, the details are only logged on the server
+    response = details ? { ...details } : helpError('SERVER_ERROR');
+  }
+
+  return response;
+}
+
+module.exports.HELP_ERRORS = HELP_ERRORS;
+module.exports.helpError = helpError;
+module.exports.formatError = formatError;
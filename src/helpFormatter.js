@@ -3,24 +3,45 @@ const makeError = require("make-error");
 const JSZip = require('jszip');
 const { createInterface } = require('readline');
 const { once } = require('events');
+const path = require('path');
 const utils = require('./utils');
 const Cache = require('./cache');
+const DiskCache = require('./diskCache');
+const gpCalculator = require('./gpCalculator');
+const statCalculator = require('./statCalculator');
 
 const NotInGuildError = makeError('NotInGuildError');
+const GuildNotFoundError = makeError('GuildNotFoundError');
+const NoAllyCodeError = makeError('NoAllyCodeError');
+const InvalidAllyCodeError = makeError('InvalidAllyCodeError');
+const CollectionNotFoundError = makeError('CollectionNotFoundError');
+const LanguageNotFoundError = makeError('LanguageNotFoundError');
+const GameDataUnavailableError = makeError('GameDataUnavailableError');
 
 const gameDataVersionRegex = new RegExp('^[0-9]+\.[0-9]+\.[0-9]+\:(.*)');
 const gameDataListRegex = new RegExp('(.*)List$');
+const allyCodeRegex = new RegExp('^[0-9]{9}$');
 
 const INCLUDE_PVE_UNITS = true;
+// how many ally code / player id pairs to remember for matching up concurrent player fetches
+const MAX_PLAYER_ID_MAPPINGS = 10000;
 
 const DEFAULT_OPTIONS = {
   format: true,     // emulate .help formatting- required to enable other options
   structure: false, // return types of fields instead of data
   project: {},      // return a subset of the fields
   enums: false,     // return string representation of enum values. much slower / bigger
-  match: {},        // for gameData, filters the data before returning it
+  match: {},        // for gameData and events, filters the data before returning it
 };
 
+// game data fields that are indexed for match filters
+const INDEXED_FIELDS = [
+  'id',
+  'baseId',
+  'nameKey',
+  'rarity'
+];
+
 const FLAT_STATS = [
   1,  // health
   5,  // speed
@@ -29,6 +50,37 @@ const FLAT_STATS = [
   42  // defense
 ];
 
+// localization keys and English fallbacks for the stats mods can roll, used by the modDetails option
+const MOD_STAT_NAMES = {
+  1: { nameKey: 'UnitStat_MaxHealth', name: 'Health' },
+  5: { nameKey: 'UnitStat_Speed', name: 'Speed' },
+  16: { nameKey: 'UnitStat_CriticalDamage', name: 'Critical Damage' },
+  17: { nameKey: 'UnitStat_Accuracy', name: 'Potency' },
+  18: { nameKey: 'UnitStat_Resistance', name: 'Tenacity' },
+  28: { nameKey: 'UnitStat_MaxShield', name: 'Protection' },
+  41: { nameKey: 'UnitStat_Offense', name: 'Offense' },
+  42: { nameKey: 'UnitStat_Defense', name: 'Defense' },
+  48: { nameKey: 'UnitStat_Offense', name: 'Offense' },
+  49: { nameKey: 'UnitStat_Defense', name: 'Defense' },
+  52: { nameKey: 'UnitStat_EvasionNegatePercentAdditive', name: 'Accuracy' },
+  53: { nameKey: 'UnitStat_CriticalChancePercentAdditive', name: 'Critical Chance' },
+  54: { nameKey: 'UnitStat_CriticalNegateChancePercentAdditive', name: 'Critical Avoidance' },
+  55: { nameKey: 'UnitStat_MaxHealth', name: 'Health' },
+  56: { nameKey: 'UnitStat_MaxShield', name: 'Protection' }
+};
+
+// used when the mod set map hasn't been built from the statModSet collection yet
+const MOD_SETS = {
+  1: { name: 'Health', count: 2 },
+  2: { name: 'Defense', count: 2 },
+  3: { name: 'Critical Damage', count: 4 },
+  4: { name: 'Critical Chance', count: 2 },
+  5: { name: 'Tenacity', count: 2 },
+  6: { name: 'Offense', count: 4 },
+  7: { name: 'Potency', count: 2 },
+  8: { name: 'Speed', count: 4 }
+};
+
 function isStringEqual(a, b) {
   return (a && b && (a.localeCompare(b) == 0));
 }
@@ -91,14 +143,43 @@ module.exports = class HelpFormatter {
     this.useUnzip = (options.useUnzip && options.useUnzip === "true") ? true : false;
     this.updateInterval = options.updateInterval || 5; // in minutes
     this.dataPath = options.dataPath;
-
-    this._playerCache = new Cache(options.playerCacheTime);
+    this.persistentCache = (options.persistentCache && options.persistentCache === "true") ? true : false;
+
+    this._playerCache = new Cache(options.playerCacheTime, {
+      persistentCache: this.persistentCache ? new DiskCache(path.join(this.dataPath, 'cache', 'players'), options.playerCacheTime) : null,
+      maxEntries: options.playerCacheMaxEntries,
+      maxBytes: (Number(options.playerCacheMaxSize) || 0) * 1024 * 1024, // in MB
+      extendOnRead: (options.playerCacheExtendOnRead && options.playerCacheExtendOnRead === "true") ? true : false,
+      staleTime: options.playerCacheStaleTime
+    });
+    this._guildCache = new Cache(options.guildCacheTime, {
+      persistentCache: this.persistentCache ? new DiskCache(path.join(this.dataPath, 'cache', 'guilds'), options.guildCacheTime) : null,
+      maxEntries: options.guildCacheMaxEntries,
+      staleTime: options.guildCacheStaleTime
+    });
+    this._pendingGuilds = new Map();
+    // parsed game data collections, limited by the size of their files
+    this._collectionCache = new Cache(0, {
+      maxBytes: (Number(options.gameDataCacheSize) || 0) * 1024 * 1024, // in MB
+      sizeOf: ({ size }) => size
+    });
+    this._pendingCollections = new Map();
+    // match filter indexes for each collection, built when the game data is updated
+    this._collectionIndexes = {};
+    this._pendingPlayers = new Map();
+    this._playerIdMap = new Map();
     this._unitMap = {};
     this._equipMap = {};
     this._skillMap = {};
     this._modMap = {};
+    this._modSetMap = {};
+    this._gpTables = {};
+    this._statTables = {};
     this._version = {};
+    // when the game data or localization being served last changed
+    this._versionUpdated = undefined;
     this._langMap = {};
+    this._enumFields = {};
   }
 
   async init() {
@@ -111,11 +192,19 @@ module.exports = class HelpFormatter {
         game: gameVersion.versionString,
         gameFiles: gameVersion.files
       };
+      this._versionUpdated = Math.floor(Math.max(
+        await utils.getFileModified(this.dataPath, 'localizationVersion'),
+        await utils.getFileModified(this.dataPath, 'gameDataVersion')
+      ));
 
       this._unitMap = await this.readFile('unitMap');
       this._equipMap = await this.readFile('equipMap');
       this._skillMap = await this.readFile('skillMap');
       this._modMap = await this.readFile('modMap');
+      this._modSetMap = await this._readOrBuildFile('modSetMap', () => this._buildModSetMap());
+      this._gpTables = await this._readOrBuildFile('gpTables', () => this._buildGpTables());
+      this._statTables = await this._readOrBuildFile('statTables', () => this._buildStatTables());
+      await this._loadCollectionIndexes();
       for await (const language of this.languages) {
         console.debug(`Reading language data file: ${language}`);
         try {
@@ -236,6 +325,7 @@ module.exports = class HelpFormatter {
       let files = [];
 
       console.log(`Updating game data to version ${versionString}...`);
+      this._collectionCache.clear();
 
       if (this.useSegments) {
         const { GameDataSegment } = await this.clientStub.getEnums();
@@ -278,6 +368,9 @@ module.exports = class HelpFormatter {
       });
       this._version.game = versionString;
       this._version.gameFiles = files;
+      this._versionUpdated = new Date().getTime();
+      // reads that were in flight during the download may have cached the previous version
+      this._collectionCache.clear();
 
       await this._updateCachedData();
     } catch(error) {
@@ -332,6 +425,7 @@ module.exports = class HelpFormatter {
       }
 
       await this.writeFile('localizationVersion', {"versionString": versionString});
+      this._versionUpdated = new Date().getTime();
     } catch(error) {
       throw(error);
     }
@@ -384,10 +478,10 @@ module.exports = class HelpFormatter {
         return {
           ...rest,
           id,
-          startTime: Number(instance.startTime),
-          endTime: Number(instance.endTime),
-          displayStartTime: Number(instance.displayStartTime),
-          displayEndTime: Number(instance.displayEndTime),
+          startTime: Number(startTime),
+          endTime: Number(endTime),
+          displayStartTime: Number(displayStartTime),
+          displayEndTime: Number(displayEndTime),
           timeLimited,
           campaignElementIdentifier,
         };
@@ -395,24 +489,108 @@ module.exports = class HelpFormatter {
     };
   }
 
-  async getEvents(options) {
+  async getEvents(requestOptions = {}) {
+    const options = {
+      ...DEFAULT_OPTIONS,
+      ...requestOptions
+    };
     try {
       const gameEvent = await this.comlinkStub.getEvents();
 
       let response = {
-        events: (gameEvent?.gameEvent) ? gameEvent.gameEvent.map(this._formatEvent) : [],
+        events: (gameEvent?.gameEvent) ? gameEvent.gameEvent.map(event => this._formatEvent(event)) : [],
         updated: new Date().getTime()
       };
 
+      response.events = await this._filterEvents(response.events, options);
+      response.events = this.match(response.events, options);
       response.events = this.project(response.events, options);
+      response.events = await this.enumify(response.events, options);
       response = this.localize(response, options);
 
-      return response
+      return this.structurify(response, options);
     } catch(error) {
       throw(error);
     }
   }
 
+  // gameEventType and gameEventStatus filters take enum values or names.  The time window keeps the instances that
+  // are running at activeAt and overlap from-to, and drops events left without any instances
+  async _filterEvents(events, options) {
+    let response = events;
+    const typeFilter = getFilterValues(options.gameEventType);
+    const statusFilter = getFilterValues(options.gameEventStatus);
+    const needsEnums = [...(typeFilter || []), ...(statusFilter || [])].some(value => typeof value === 'string');
+    const enumFields = needsEnums ? await this.getEnumFields() : {};
+
+    if (typeFilter) {
+      response = response.filter(({ gameEventType }) => isEnumMatch(typeFilter, gameEventType, enumFields.gameEventType));
+    }
+    if (statusFilter) {
+      response = response.filter(({ gameEventStatus }) => isEnumMatch(statusFilter, gameEventStatus, enumFields.gameEventStatus));
+    }
+
+    const activeAt = getTimestamp(options.activeAt);
+    const from = getTimestamp(options.from);
+    const to = getTimestamp(options.to);
+    if (activeAt !== undefined || from !== undefined || to !== undefined) {
+      const inWindow = ({ startTime, endTime }) => {
+        return (activeAt === undefined || (startTime <= activeAt && activeAt < endTime)) &&
+          (from === undefined || endTime > from) &&
+          (to === undefined || startTime < to);
+      };
+      response = response.map((event) => {
+        return {
+          ...event,
+          instanceList: event.instanceList.filter(inWindow)
+        };
+      }).filter(event => event.instanceList.length > 0);
+    }
+
+    return response;
+  }
+
+  // the versions of the game data and localization currently being served, and when they last changed
+  getDataVersion() {
+    return {
+      game: this._version.game,
+      language: this._version.language,
+      updated: this._versionUpdated
+    };
+  }
+
+  getCacheStats() {
+    return {
+      players: this._playerCache.stats,
+      guilds: this._guildCache.stats,
+      collections: this._collectionCache.stats
+    };
+  }
+
+  // removes the player from memory and the persistent cache, so the next request fetches it from comlink
+  evictPlayer(allyCode) {
+    const [normalized] = this._getAllyCodes({ allyCode });
+    const cached = this._playerCache.getStale(normalized) !== undefined;
+    this._playerCache.remove(normalized);
+    return cached;
+  }
+
+  flushCaches() {
+    this._playerCache.clear();
+    this._guildCache.clear();
+    this._collectionCache.clear();
+  }
+
+  getLoadedData() {
+    return {
+      game: this._version.game,
+      language: this._version.language,
+      gameFiles: this._version.gameFiles || [],
+      languages: Object.keys(this._langMap),
+      updated: this._versionUpdated
+    };
+  }
+
   async getVersion() {
     try {
       const response = await this.comlinkStub.getMetaData();
@@ -470,36 +648,39 @@ module.exports = class HelpFormatter {
       ...requestOptions
     };
     let response = [];
-    const allyCodes = options.allyCodes || options.allycodes || options.allycode || options.allyCode;
+    const allyCodes = this._getAllyCodes(options);
 
-    if (allyCodes) {
-      try {
-        if (Array.isArray(allyCodes)) {
-          response = await this.execInParallel(allyCodes, this.concurrentPlayers, async (allyCode) => {
-            return await this._getPlayer(`${allyCode}`, null, options)
-          });
-        } else {
-          response.push(await this._getPlayer(`${allyCodes}`, null, options));
-        }
-      } catch(error) {
-        throw(error);
-      }
-    } else {
-      throw new Error(`No ally code specified`);
+    try {
+      response = await this.execInParallel(allyCodes, this.concurrentPlayers, async (allyCode) => {
+        return await this._getPlayer(allyCode, null, options)
+      });
+    } catch(error) {
+      throw(error);
     }
-    return this.localize(response, options);
+    response = await this.enumify(response, options);
+    response = this.localize(response, options);
+    return this.structurify(response, options);
   }
 
   localize(source, options) {
     let response = source;
+    const language = this._getLanguage(options);
+    if (language) {
+      response = utils.localize(response, language);
+    }
+    return response;
+  }
+
+  _getLanguage(options) {
+    let language;
     if (options.language) {
       const lang = (options.language).toUpperCase();
       if (!this._langMap[lang]) {
-        throw new Error(`Unable to find language: ${options.language}`);
+        throw new LanguageNotFoundError(`Unable to find language: ${options.language}`);
       }
-      response = utils.localize(response, this._langMap[lang]);
+      language = this._langMap[lang];
     }
-    return response;
+    return language;
   }
 
   project(source, options) {
@@ -512,78 +693,362 @@ module.exports = class HelpFormatter {
     return response;
   }
 
-  match(source, options) {
+  structurify(source, options) {
+    let response = source;
+
+    if (options.structure) {
+      response = utils.structurify(response);
+    }
+
+    return response;
+  }
+
+  async enumify(source, options) {
+    let response = source;
+
+    if (options.enums) {
+      response = utils.enumify(response, await this.getEnumFields());
+    }
+
+    return response;
+  }
+
+  async getEnumFields() {
+    const version = this._version.game;
+
+    if (this._enumFields.version !== version) {
+      // keep the pending lookup so concurrent requests share it
+      this._enumFields = {
+        version,
+        fields: this._loadEnumFields(version)
+      };
+    }
+
+    try {
+      return await this._enumFields.fields;
+    } catch(error) {
+      if (this._enumFields.version === version) {
+        this._enumFields = {};
+      }
+      throw(error);
+    }
+  }
+
+  async _loadEnumFields(version) {
+    return utils.buildEnumFields(await this._loadEnums(version));
+  }
+
+  async _loadEnums(version) {
+    let enums;
+
+    try {
+      const enumFile = await this.readFile('enums');
+      if (enumFile.version === version) {
+        enums = enumFile.data;
+      }
+    } catch(error) {
+      console.debug(`Unable to read enums for game data version ${version}: ${error.message}`);
+    }
+
+    if (!enums) {
+      console.log(`Fetching enums for game data version ${version}...`);
+      enums = await this.comlinkStub.getEnums();
+      await this.writeFile('enums', {
+        version: version,
+        data: enums
+      });
+    }
+
+    return enums;
+  }
+
+  // indexes are only used for game data collections, and must be for the same version as the source
+  match(source, options, indexes) {
     let response = source;
 
     if (options.match) {
-      response = response.filter(utils.match(options.match));
+      const positions = indexes ? utils.lookupIndexes(indexes, options.match) : undefined;
+      const candidates = positions ? positions.map(position => source[position]) : undefined;
+      // the candidates only match one of the keys, so they are still filtered by all of them
+      response = (candidates || response).filter(utils.match(options.match));
     }
 
     return response;
   }
 
-  async getGuild(requestOptions = {}) {
+  // usage.members is set to how many members the requested guilds have, since each member is a player fetch
+  async getGuild(requestOptions = {}, usage = {}) {
     const options = {
       ...DEFAULT_OPTIONS,
       ...requestOptions
     };
     let response = [];
+    const allyCodes = this._getAllyCodes(options);
+
+    try {
+      response = await this.execInParallel(allyCodes, this.concurrentGuilds, async (allyCode) => {
+        return await this._getGuild(allyCode, options, usage);
+      });
+    } catch(error) {
+      throw(error);
+    }
+    response = await this.enumify(response, options);
+    response = this.localize(response, options);
+    return this.structurify(response, options);
+  }
+
+  async getRoster(requestOptions = {}) {
+    const options = {
+      ...DEFAULT_OPTIONS,
+      ...requestOptions
+    };
+    const roster = {};
+    const allyCodes = this._getAllyCodes(options);
+
+    try {
+      const players = await this.execInParallel(allyCodes, this.concurrentPlayers, async (allyCode) => {
+        return await this._getOrFetchCachedPlayer(allyCode);
+      });
+
+      // group every player's units by defId
+      for (const { allyCode, rosterUnit } of players) {
+        for (const unit of this._formatRoster(rosterUnit, FLAT_STATS, options)) {
+          if (!roster[unit.defId]) {
+            roster[unit.defId] = [];
+          }
+
+          roster[unit.defId].push(this.project({
+            ...unit,
+            allyCode: Number(allyCode)
+          }, options));
+        }
+      }
+    } catch(error) {
+      throw(error);
+    }
+    return this.localize(await this.enumify([roster], options), options);
+  }
+
+  // with the guild option, usage.members is set to how many guild members were looked up
+  async getUnits(requestOptions = {}, usage = {}) {
+    const options = {
+      ...DEFAULT_OPTIONS,
+      ...requestOptions
+    };
+    const units = {};
+    let allyCodes = this._getAllyCodes(options);
+
+    try {
+      // expand each ally code to the members of its guild
+      if (options.guild) {
+        const guilds = await this.execInParallel(allyCodes, this.concurrentGuilds, async (allyCode) => {
+          return await this._getGuild(allyCode, {
+            cacheMaxAge: options.cacheMaxAge,
+            project: { roster: { allyCode: 1 } }
+          }, usage);
+        });
+        allyCodes = [];
+        for (const { roster } of guilds) {
+          for (const { allyCode } of roster) {
+            if (!allyCodes.includes(`${allyCode}`)) {
+              allyCodes.push(`${allyCode}`);
+            }
+          }
+        }
+      }
+
+      const players = await this.execInParallel(allyCodes, this.concurrentPlayers, async (allyCode) => {
+        return await this._getOrFetchCachedPlayer(allyCode);
+      });
+
+      const defIds = options.units ? [].concat(options.units) : null;
+      for (const player of players) {
+        for (const unit of this._formatRoster(player.rosterUnit, FLAT_STATS, options, defIds)) {
+          if (!units[unit.defId]) {
+            units[unit.defId] = [];
+          }
+          units[unit.defId].push(this.project(this._formatMemberUnit(unit, player), options));
+        }
+      }
+    } catch(error) {
+      throw(error);
+    }
+    return this.localize(await this.enumify([units], options), options);
+  }
+
+  _getAllyCodes(options) {
     const allyCodes = options.allyCodes || options.allycodes || options.allycode || options.allyCode;
 
-    if (allyCodes) {
+    if (!allyCodes || (Array.isArray(allyCodes) && allyCodes.length === 0)) {
+      throw new NoAllyCodeError(`No ally code specified`);
+    }
+
+    return [].concat(allyCodes).map((allyCode) => {
+      // allow ally codes to be formatted the way the game displays them, ie: 123-456-789
+      const normalized = `${allyCode}`.replace(/-/g, '');
+      if (!allyCodeRegex.test(normalized)) {
+        throw new InvalidAllyCodeError(`${allyCode} is not a valid ally code`);
+      }
+      return normalized;
+    });
+  }
+
+  async _getOrFetchCachedPlayer(allyCode, playerId, options = {}) {
+    const key = allyCode || playerId;
+    let player = key ? await this._playerCache.getOrLoad(key) : undefined;
+
+    if (!player) {
+      player = await this._getOrFetchStale(this._playerCache, key, () => this._fetchPlayer(allyCode, playerId), options);
+    }
+
+    return player;
+  }
+
+  async _fetchPlayer(allyCode, playerId) {
+    let player;
+
+    // share a single comlink fetch between concurrent lookups of the same player, by ally code or player id
+    const keys = this._getPlayerKeys(allyCode, playerId);
+    const pendingKey = keys.find(key => this._pendingPlayers.has(key));
+
+    if (pendingKey) {
+      player = await this._pendingPlayers.get(pendingKey);
+    } else {
+      const pending = this.comlinkStub.getPlayer(allyCode, playerId).then((fetchedPlayer) => {
+        // the player id is an alias, so the player is only stored once
+        this._playerCache.set(fetchedPlayer.allyCode, fetchedPlayer, [fetchedPlayer.playerId]);
+        this._rememberPlayerId(fetchedPlayer.allyCode, fetchedPlayer.playerId);
+        return fetchedPlayer;
+      });
+
+      for (const key of keys) {
+        this._pendingPlayers.set(key, pending);
+      }
+
       try {
-        if (Array.isArray(allyCodes)) {
-          response = await this.execInParallel(allyCodes, this.concurrentGuilds, async (allyCode) => {
-            return await this._getGuild(`${allyCode}`, options);
-          });
-        } else {
-          response.push(await this._getGuild(`${allyCodes}`, options));
+        player = await pending;
+      } finally {
+        for (const key of keys) {
+          if (this._pendingPlayers.get(key) === pending) {
+            this._pendingPlayers.delete(key);
+          }
         }
-      } catch(error) {
+      }
+    }
+
+    return player;
+  }
+
+  // with maxStaleness, an expired copy is returned straight away and refreshed in the background.  With allowStale,
+  // an expired copy is returned when the fetch fails.  Either way the copy is marked as stale
+  async _getOrFetchStale(cache, key, fetch, { maxStaleness, allowStale, cacheMaxAge } = {}) {
+    // cacheMaxAge asks for something fresher than the cache, so a stale copy is only a fallback
+    if (maxStaleness !== undefined && cacheMaxAge === undefined) {
+      const stale = cache.getStale(key, maxStaleness);
+      if (stale !== undefined) {
+        fetch().catch((error) => {
+          console.warn(`Unable to refresh stale ${key}: ${error.message}`);
+        });
+        return { ...stale, stale: true };
+      }
+    }
+
+    try {
+      return await fetch();
+    } catch(error) {
+      const stale = allowStale ? cache.getStale(key, maxStaleness) : undefined;
+      if (stale === undefined) {
         throw(error);
       }
-    } else {
-      throw new Error(`No ally code specified`);
+
+      console.warn(`Unable to fetch ${key}, returning a stale copy: ${error.message}`);
+      return { ...stale, stale: true };
     }
-    return this.localize(response, options);
   }
 
-  async _getOrFetchCachedPlayer(allyCode, playerId) {
-    let player;
-    if (allyCode) {
-      player = this._playerCache.get(allyCode);
-    } else if (playerId) {
-      player = this._playerCache.get(playerId);
+  // stale responses stay marked even when the projection leaves the field out
+  _markStale(response, stale) {
+    if (stale) {
+      response.stale = true;
     }
+    return response;
+  }
 
-    if (!player) {
-      player = await this.comlinkStub.getPlayer(allyCode, playerId);
-      this._playerCache.set(player.allyCode, player);
-      this._playerCache.set(player.playerId, player);
+  _getPlayerKeys(allyCode, playerId) {
+    const keys = [];
+    if (allyCode) {
+      keys.push(`${allyCode}`);
+      if (this._playerIdMap.has(`${allyCode}`)) keys.push(this._playerIdMap.get(`${allyCode}`));
+    }
+    if (playerId) {
+      keys.push(playerId);
+      if (this._playerIdMap.has(playerId)) keys.push(this._playerIdMap.get(playerId));
     }
+    return keys;
+  }
 
-    return player;
+  // maps both ways, ally codes and player ids never collide since ally codes are only digits
+  _rememberPlayerId(allyCode, playerId) {
+    if (!allyCode || !playerId) return;
+
+    this._playerIdMap.delete(`${allyCode}`);
+    this._playerIdMap.delete(playerId);
+    this._playerIdMap.set(`${allyCode}`, playerId);
+    this._playerIdMap.set(playerId, `${allyCode}`);
+
+    // forget the oldest pairs first
+    while (this._playerIdMap.size > MAX_PLAYER_ID_MAPPINGS * 2) {
+      const [key] = this._playerIdMap.keys();
+      this._playerIdMap.delete(key);
+    }
   }
 
   async _getPlayer(allyCode=null, playerId=null, options={}) {
     try {
-      const response = await this._getOrFetchCachedPlayer(allyCode, playerId);
+      const response = await this._getOrFetchCachedPlayer(allyCode, playerId, options);
       return await this._formatPlayer(response, options);
     } catch(error) {
       throw(error);
     }
   }
 
-  async _getGuild(allyCode, options = {}) {
+  // members are still looked up through the player cache, so refreshing a guild only fetches the members that expired
+  async _getOrFetchCachedGuild(guildId, options = {}) {
+    let guild = await this._guildCache.getOrLoad(guildId, options.cacheMaxAge);
+
+    if (!guild) {
+      guild = await this._getOrFetchStale(this._guildCache, guildId, () => this._fetchGuild(guildId), options);
+    }
+
+    return guild;
+  }
+
+  async _fetchGuild(guildId) {
+    // share a single comlink fetch between concurrent requests for the same guild
+    let pending = this._pendingGuilds.get(guildId);
+    if (!pending) {
+      pending = this.comlinkStub.getGuild(guildId, true).then((fetchedGuild) => {
+        this._guildCache.set(guildId, fetchedGuild);
+        return fetchedGuild;
+      }).finally(() => {
+        this._pendingGuilds.delete(guildId);
+      });
+      this._pendingGuilds.set(guildId, pending);
+    }
+    return await pending;
+  }
+
+  async _getGuild(allyCode, options = {}, usage = {}) {
     let guild;
 
     if (allyCode) {
       try {
-        const player = await this._getOrFetchCachedPlayer(allyCode);
+        const player = await this._getOrFetchCachedPlayer(allyCode, null, options);
         if (!player.guildId) {
           throw new NotInGuildError(`${allyCode} is not in a guild`);
         }
-        guild = await this.comlinkStub.getGuild(`${player.guildId}`, true);
+        guild = await this._getOrFetchCachedGuild(`${player.guildId}`, options);
+        usage.members = (usage.members || 0) + (Number(guild.guild?.profile?.memberCount) || 0);
       } catch(error) {
         throw(error);
       }
@@ -592,7 +1057,7 @@ module.exports = class HelpFormatter {
     if (guild) {
       return await this._formatGuild(guild, options);
     } else {
-      throw new Error(`No guild found`);
+      throw new GuildNotFoundError(`No guild found`);
     }
   }
 
@@ -634,7 +1099,7 @@ module.exports = class HelpFormatter {
         memberContribution,
         ...rest
       }) => {
-        let { name, level, allyCode, profileStat } = await this._getOrFetchCachedPlayer(null, playerId);
+        let { name, level, allyCode, profileStat, stale } = await this._getOrFetchCachedPlayer(null, playerId, options);
         let gp;
         let gpChar;
         let gpShip;
@@ -649,7 +1114,7 @@ module.exports = class HelpFormatter {
           if (gp && gpChar && gpShip) break;
         }
 
-        return {
+        return this._markStale({
           ...rest,
           id: utils.generatePlayerId(playerId),
           guildMemberLevel: memberLevel,
@@ -661,7 +1126,7 @@ module.exports = class HelpFormatter {
           gpChar,
           gpShip,
           updated: new Date().getTime()
-        };
+        }, stale);
       });
     } catch(error) {
       throw(error);
@@ -690,7 +1155,8 @@ module.exports = class HelpFormatter {
       raidLaunchConfig
     };
 
-    return this.project(formattedGuild, options);
+    const stale = topRest.stale || members.some(({ stale }) => stale);
+    return this._markStale(this.project(formattedGuild, options), stale);
   }
 
   _formatEquipment({ equipmentId, slot, ...rest }) {
@@ -703,11 +1169,11 @@ module.exports = class HelpFormatter {
     };
   }
 
-  _formatMod({ definitionId, primaryStat, id, level, tier, secondaryStat, ...rest }, flatStats) {
+  _formatMod({ definitionId, primaryStat, id, level, tier, secondaryStat, ...rest }, flatStats, options = {}) {
     const modSchema = this._modMap[definitionId] || {};
     const primaryStatId = primaryStat.stat.unitStatId;
     const primaryStatScaler = flatStats.includes(primaryStatId) ? 1e8 : 1e6;
-    return {
+    const mod = {
       ...rest,
       id,
       level,
@@ -729,17 +1195,193 @@ module.exports = class HelpFormatter {
         };
       }) : []
     };
+    return options.modDetails ? this._addModDetails(mod, secondaryStat || [], flatStats, options) : mod;
+  }
+
+  // a roll's efficiency is where it landed in the range a single roll can add, from 0 for the lowest roll to 1 for
+  // the highest, and the mod's efficiency is the average over all of its rolls.  Mods without roll data have an
+  // efficiency of null
+  _addModDetails(mod, secondaryStat, flatStats, options) {
+    const language = this._getLanguage(options) || {};
+    let efficiencyTotal = 0;
+    let rollCount = 0;
+
+    mod.setName = this._getModSetName(mod.set, language);
+    mod.primaryStat = {
+      ...mod.primaryStat,
+      ...getModStatDetails(mod.primaryStat.unitStat, flatStats, language)
+    };
+    mod.secondaryStat = mod.secondaryStat.map((stat, index) => {
+      const { unscaledRollValue, statRollerBoundsMin, statRollerBoundsMax } = secondaryStat[index];
+      const statScaler = flatStats.includes(stat.unitStat) ? 1e8 : 1e6;
+      const rolls = (unscaledRollValue || []).map(value => Number(value) / statScaler);
+      const rollRange = {
+        min: (statRollerBoundsMin !== undefined) ? Number(statRollerBoundsMin) / statScaler : null,
+        max: (statRollerBoundsMax !== undefined) ? Number(statRollerBoundsMax) / statScaler : null
+      };
+      let efficiency = null;
+      if (rolls.length > 0 && rollRange.min !== null && rollRange.max !== null) {
+        const rollEfficiency = rolls.reduce((total, roll) => total + getRollEfficiency(roll, rollRange), 0);
+        efficiency = rollEfficiency / rolls.length;
+        efficiencyTotal += rollEfficiency;
+        rollCount += rolls.length;
+      }
+
+      return {
+        ...stat,
+        ...getModStatDetails(stat.unitStat, flatStats, language),
+        rolls,
+        rollRange,
+        efficiency
+      };
+    });
+    mod.efficiency = (rollCount > 0) ? efficiencyTotal / rollCount : null;
+
+    return mod;
+  }
+
+  _getModSetName(set, language) {
+    const modSetSchema = this._modSetMap[set] || {};
+    const fallback = MOD_SETS[set] || {};
+    return language[modSetSchema.nameKey] || fallback.name || modSetSchema.nameKey || null;
+  }
+
+  // sets are counted the same way the stat calculator counts them for their bonuses
+  _summarizeModSets(mods, options) {
+    const language = this._getLanguage(options) || {};
+    return Object.entries(statCalculator.countModSets(mods)).map(([set, counts]) => {
+      const modSetSchema = this._modSetMap[set] || {};
+      const required = modSetSchema.count || (MOD_SETS[set] || {}).count || null;
+      return {
+        set: Number(set),
+        name: this._getModSetName(set, language),
+        required,
+        count: counts.count,
+        complete: required ? counts.count >= required : false,
+        ...statCalculator.getModSetBonuses(counts, required)
+      };
+    });
   }
 
   _formatSkill({ id, tier, ...rest }) {
     const skillSchema = this._skillMap[id] || {};
+    // skill maps saved before zeta tiers were tracked only know whether the last tier is a zeta
+    const zetaTier = (skillSchema.zetaTier !== undefined) ? skillSchema.zetaTier :
+      (skillSchema.isZeta ? skillSchema.tiers + 1 : null);
+    const omicronTier = (skillSchema.omicronTier !== undefined) ? skillSchema.omicronTier : null;
     return {
       ...rest,
       id,
       tier: tier + 2,
       nameKey: skillSchema.nameKey,
       isZeta: skillSchema.isZeta,
-      tiers: skillSchema.tiers +1
+      tiers: skillSchema.tiers +1,
+      isOmicron: skillSchema.isOmicron || false,
+      omicronMode: (skillSchema.omicronMode !== undefined) ? skillSchema.omicronMode : null,
+      zetaTier: zetaTier,
+      omicronTier: omicronTier,
+      hasZeta: zetaTier !== null && tier + 2 >= zetaTier,
+      hasOmicron: omicronTier !== null && tier + 2 >= omicronTier
+    };
+  }
+
+  _formatUnit({
+    definitionId,
+    id,
+    currentRarity,
+    currentLevel,
+    currentXp,
+    currentTier,
+    equipment,
+    skill,
+    purchasedAbilityId,
+    equippedStatMod,
+    unitStat,
+    relic,
+    ...rest
+  }, flatStats, options = {}) {
+    const unitId = getUnitDefId(definitionId);
+    const unitSchema = this._unitMap[unitId] || {crew: []};
+    const unit = {
+      ...rest,
+      id,
+      defId: unitId,
+      nameKey: unitSchema.nameKey,
+      rarity: currentRarity,
+      level: currentLevel,
+      xp: currentXp,
+      gear: currentTier,
+      equipped: equipment ? equipment.map(equip => this._formatEquipment(equip)) : [],
+      combatType: unitSchema.combatType,
+      skills: skill ? skill.map(skill => this._formatSkill(skill)) : [],
+      purchasedAbilityId,
+      mods: equippedStatMod ? equippedStatMod.map(mod => this._formatMod(mod, flatStats, options)) : [],
+      crew: unitSchema.crew ? unitSchema.crew.map(({
+        unitId, slot, skillReferenceList, skilllessCrewAbilityId, ...rest
+      }) => {
+        return {
+          ...rest,
+          unitId: unitId,
+          slot: slot,
+          skillReferenceList: skillReferenceList,
+          skilllessCrewAbilityId: skilllessCrewAbilityId,
+          gp: 0, // filled in by the calcGp option
+          cp: 0 // filled in by the calcGp option
+        }
+      }) : [],
+      gp: 0, // filled in by the calcGp option
+      primaryUnitStat: unitStat,
+      relic
+    };
+    if (options.modDetails) {
+      unit.modSets = this._summarizeModSets(unit.mods, options);
+    }
+    return unit;
+  }
+
+  // gp and stats are only calculated when requested, since a ship's gp and stats need its whole crew formatted
+  // first.  Without them, units left out by defIds aren't formatted at all
+  _formatRoster(rosterUnit, flatStats, options = {}, defIds = null) {
+    let roster = rosterUnit || [];
+
+    if (options.calcGp || options.calcStats) {
+      roster = roster.map(unit => this._formatUnit(unit, flatStats, options));
+      if (options.calcGp) {
+        gpCalculator.calcRosterGp(roster, this._gpTables, this._skillMap);
+      }
+      if (options.calcStats) {
+        statCalculator.calcRosterStats(roster, this._statTables, this._gpTables, flatStats);
+      }
+      if (defIds) {
+        roster = roster.filter(unit => defIds.includes(unit.defId));
+      }
+    } else {
+      if (defIds) {
+        roster = roster.filter(unit => defIds.includes(getUnitDefId(unit.definitionId)));
+      }
+      roster = roster.map(unit => this._formatUnit(unit, flatStats, options));
+    }
+
+    return roster;
+  }
+
+  _formatMemberUnit({ defId, nameKey, rarity, level, gear, relic, combatType, skills, mods, modSets, gp }, { allyCode, name }) {
+    return {
+      allyCode: Number(allyCode),
+      name,
+      defId,
+      nameKey,
+      rarity,
+      level,
+      gear,
+      relic,
+      combatType,
+      zetas: skills.filter(skill => skill.hasZeta).map(skill => skill.id),
+      omicrons: skills.filter(skill => skill.hasOmicron).map(skill => skill.id),
+      mods,
+      modSets, // only set by the modDetails option
+      gp,
+      updated: new Date().getTime()
     };
   }
 
@@ -786,6 +1428,9 @@ module.exports = class HelpFormatter {
       };
     }
 
+    const roster = this._formatRoster(rosterUnit, flatStats, options);
+    const skills = roster.flatMap(unit => unit.skills);
+
     const formattedPlayer = {
       ...rest,
       allyCode: Number(allyCode),
@@ -809,55 +1454,9 @@ module.exports = class HelpFormatter {
           index
         }
       }).sort((a, b) => { return a.index - b.index }) : [],
-      roster: rosterUnit ? rosterUnit.map(({
-        definitionId,
-        id,
-        currentRarity,
-        currentLevel,
-        currentXp,
-        currentTier,
-        equipment,
-        skill,
-        purchasedAbilityId,
-        equippedStatMod,
-        unitStat,
-        relic,
-        ...rest
-      }) => {
-        const unitId = getUnitDefId(definitionId);
-        const unitSchema = this._unitMap[unitId] || {crew: []};
-        return {
-          ...rest,
-          id,
-          defId: unitId,
-          nameKey: unitSchema.nameKey,
-          rarity: currentRarity,
-          level: currentLevel,
-          xp: currentXp,
-          gear: currentTier,
-          equipped: equipment ? equipment.map(equip => this._formatEquipment(equip)) : [],
-          combatType: unitSchema.combatType,
-          skills: skill ? skill.map(skill => this._formatSkill(skill)) : [],
-          purchasedAbilityId,
-          mods: equippedStatMod ? equippedStatMod.map(mod => this._formatMod(mod, flatStats)) : [],
-          crew: unitSchema.crew ? unitSchema.crew.map(({
-            unitId, slot, skillReferenceList, skilllessCrewAbilityId, ...rest
-          }) => {
-            return {
-              ...rest,
-              unitId: unitId,
-              slot: slot,
-              skillReferenceList: skillReferenceList,
-              skilllessCrewAbilityId: skilllessCrewAbilityId,
-              gp: 0, // TODO - document that it should be passed through crinolo stats
-              cp: 0 // TODO - document that it should be passed through crinolo stats
-            }
-          }) : [],
-          gp: 0, // TODO - document that it should be passed through crinolo stats
-          primaryUnitStat: unitStat,
-          relic
-        }
-      }) : [],
+      roster: roster,
+      zetaCount: skills.filter(skill => skill.hasZeta).length,
+      omicronCount: skills.filter(skill => skill.hasOmicron).length,
       arena: {
         char: arena[arenaTab] || emptyArena,
         ship: arena[fleetTab] || emptyArena
@@ -873,14 +1472,10 @@ module.exports = class HelpFormatter {
       updated: new Date().getTime()
     };
 
-    return this.project(formattedPlayer, options);
+    return this._markStale(this.project(formattedPlayer, options), rest.stale);
   }
 
-  async getGameData(requestOptions = {}) {
-    const options = {
-      ...DEFAULT_OPTIONS,
-      ...requestOptions
-    };
+  _getCollectionName(options) {
     let collection = options.collection;
 
     // remap collection to strip of the "List" suffix used by .help
@@ -889,34 +1484,115 @@ module.exports = class HelpFormatter {
       collection = result[1];
     }
 
+    if (!this._version.gameFiles) {
+      throw new GameDataUnavailableError(`Game data has not been loaded yet`);
+    }
+
     if (!this._version.gameFiles.includes(collection)) {
-      throw new Error(`${options.collection} is not a valid game data collection`);
+      throw new CollectionNotFoundError(`${options.collection} is not a valid game data collection`);
     }
 
-    let response = await this.getDataFile(collection, this._version.game).catch((error) => {
+    return collection;
+  }
+
+  // throws the errors getGameData would for an unknown collection or language, without reading the collection
+  checkGameDataOptions(options = {}) {
+    this._getCollectionName(options);
+    this._getLanguage(options);
+  }
+
+  async getGameData(requestOptions = {}) {
+    const options = {
+      ...DEFAULT_OPTIONS,
+      ...requestOptions
+    };
+    const collection = this._getCollectionName(options);
+    const version = this._version.game;
+
+    let response = await this.getDataFile(collection, version).catch((error) => {
       throw(error);
     });
 
-    response = this.match(response, options);
+    response = this.match(response, options, this._getCollectionIndexes(collection, version));
     response = this.project(response, options);
+    response = await this.enumify(response, options);
     response = this.localize(response, options);
+    response = this.structurify(response, options);
 
     return response;
   }
 
+  // resolves to an iterator that formats each element of the collection as it is read, instead of
+  // copying the whole collection for each step.  Errors are thrown before the iterator is returned,
+  // so they can still be sent as a normal error response.  The structure option is not supported
+  async getGameDataIterator(requestOptions = {}) {
+    const options = {
+      ...DEFAULT_OPTIONS,
+      ...requestOptions
+    };
+    const collection = this._getCollectionName(options);
+    const language = this._getLanguage(options);
+    const enumFields = options.enums ? await this.getEnumFields() : null;
+
+    const version = this._version.game;
+
+    let source = await this.getDataFile(collection, version).catch((error) => {
+      throw(error);
+    });
+    // only holds references to the matched elements
+    source = this.match(source, options, this._getCollectionIndexes(collection, version));
+
+    return (function* () {
+      for (const element of source) {
+        let response = options.project ? utils.project(element, options.project) : element;
+        if (enumFields) {
+          response = utils.enumify(response, enumFields);
+        }
+        yield language ? utils.localize(response, language) : response;
+      }
+    })();
+  }
+
+  // the parsed collections are shared between requests, so they must be treated as read only
   async getDataFile(collection, expectedVersion, retry = false) {
+    const key = `${expectedVersion}:${collection}`;
+    const cached = this._collectionCache.get(key);
+    if (cached) {
+      return cached.data;
+    }
+
+    // share a single read between concurrent requests for the same collection
+    let pending = this._pendingCollections.get(key);
+    if (!pending) {
+      pending = this._readDataFile(collection, expectedVersion, retry).finally(() => {
+        this._pendingCollections.delete(key);
+      });
+      this._pendingCollections.set(key, pending);
+    }
+    return await pending;
+  }
+
+  async _readDataFile(collection, expectedVersion, retry = false) {
     let response = {};
     let updateNeeded = false;
     try {
+      const size = await utils.getFileSize(this.dataPath, collection);
       response = await this.readFile(collection);
       if (expectedVersion !== response.version) {
         updateNeeded = true;
       } else {
         response = response.data;
+        // a read that finishes after an update has swapped the version is returned, but not kept
+        if (expectedVersion === this._version.game) {
+          this._collectionCache.set(`${expectedVersion}:${collection}`, {
+            data: response,
+            size: size
+          });
+        }
       }
     } catch(error) {
       if (retry) {
-        throw new Error(`Unable to load game data collection ${collection}`);
+        throw new GameDataUnavailableError(`Unable to load game data collection ${collection}`);
       } else {
         updateNeeded = true;
       }
@@ -927,7 +1603,7 @@ module.exports = class HelpFormatter {
       const force = true;
       try {
         await this.updateCheck(null, null, force);
-        response = await this.getDataFile(collection, expectedVersion, force);
+        response = await this._readDataFile(collection, expectedVersion, force);
       } catch(error) {
         throw(error);
       }
@@ -936,8 +1612,49 @@ module.exports = class HelpFormatter {
     return response;
   }
 
+  _getCollectionIndexes(collection, version) {
+    return (this._collectionIndexes.version === version && this._collectionIndexes.collections) ?
+      this._collectionIndexes.collections[collection] : undefined;
+  }
+
+  // indexes that are missing, or were saved for a different version, are rebuilt rather than forcing a game data update
+  async _loadCollectionIndexes() {
+    try {
+      const indexes = await this.readFile('collectionIndexes');
+      if (indexes.version === this._version.game) {
+        this._collectionIndexes = indexes;
+        return;
+      }
+    } catch(error) {
+      console.debug(`Unable to read the game data indexes, rebuilding them: ${error.message}`);
+    }
+    await this._buildCollectionIndexes();
+  }
+
+  // each collection is read straight from its file, so building the indexes doesn't fill the collection cache
+  async _buildCollectionIndexes() {
+    const version = this._version.game;
+    const collections = {};
+
+    for (const collection of (this._version.gameFiles || [])) {
+      try {
+        const { version: fileVersion, data } = await this.readFile(collection);
+        if (fileVersion === version && Array.isArray(data)) {
+          collections[collection] = utils.buildIndexes(data, INDEXED_FIELDS);
+        }
+      } catch(error) {
+        console.warn(`Unable to index game data collection ${collection}, ignoring: ${error.message}`);
+      }
+    }
+
+    this._collectionIndexes = { version, collections };
+    await this.writeFile('collectionIndexes', this._collectionIndexes);
+  }
+
   async _updateCachedData() {
     try {
+      // built first, so the match filters below can use them
+      await this._buildCollectionIndexes();
       const unitList = await this.getGameData({
         collection: 'units',
         match: {
@@ -957,7 +1674,8 @@ module.exports = class HelpFormatter {
           id: 1,
           abilityReference: 1,
           tierList: 1,
-          isZeta: 1
+          isZeta: 1,
+          omicronMode: 1
         }
       });
       const abilityList = await this.getGameData({
@@ -1005,11 +1723,17 @@ module.exports = class HelpFormatter {
         };
       }
       for (const skill of skillList) {
+        const omicronTier = getSkillTier(skill.tierList, 'isOmicronTier');
         this._skillMap[skill.id] = {
           nameKey: abilityMap[skill.abilityReference],
           isZeta: skill.isZeta,
           tiers: skill.tierList.length,
-          abilityId: skill.abilityReference
+          abilityId: skill.abilityReference,
+          powerOverrideTags: getPowerOverrideTags(skill.tierList),
+          zetaTier: getSkillTier(skill.tierList, 'isZetaTier'),
+          isOmicron: omicronTier !== null,
+          omicronTier: omicronTier,
+          omicronMode: (omicronTier !== null) ? skill.omicronMode : null
         };
       }
       for (const mod of modList) {
@@ -1020,15 +1744,159 @@ module.exports = class HelpFormatter {
         };
       }
 
+      this._modSetMap = await this._buildModSetMap();
+      this._gpTables = await this._buildGpTables();
+      // kept as they were when the stat names can't be mapped to ids
+      this._statTables = (await this._buildStatTables()) || this._statTables;
+
       await this.writeFile('unitMap', this._unitMap);
       await this.writeFile('equipMap', this._equipMap);
       await this.writeFile('skillMap', this._skillMap);
       await this.writeFile('modMap', this._modMap);
+      await this.writeFile('modSetMap', this._modSetMap);
+      await this.writeFile('gpTables', this._gpTables);
+      await this.writeFile('statTables', this._statTables);
     } catch(error) {
       throw(error);
     }
   }
 
+  async _buildModSetMap() {
+    const modSetList = await this.getGameData({
+      collection: 'statModSet',
+      project: {
+        id: 1,
+        name: 1,
+        setCount: 1
+      }
+    });
+    const modSetMap = {};
+    for (const modSet of modSetList) {
+      modSetMap[modSet.id] = {
+        nameKey: modSet.name,
+        count: modSet.setCount
+      };
+    }
+    return modSetMap;
+  }
+
+  async _buildGpTables() {
+    const tableList = await this.getGameData({
+      collection: 'table',
+      project: {
+        id: 1,
+        rowList: 1
+      }
+    });
+    const xpTableList = await this.getGameData({
+      collection: 'xpTable',
+      project: {
+        id: 1,
+        rowList: 1
+      }
+    });
+    return gpCalculator.buildGpTables(tableList, xpTableList);
+  }
+
+  // the mastery tables name their stats, so the UnitStat enum is needed to map them to stat ids.  Resolves to
+  // nothing when there is no UnitStat enum to use
+  async _buildStatTables() {
+    const unitStats = await this._loadUnitStats();
+    if (!unitStats) {
+      console.warn(`Unable to map stat names to stat ids, the stat tables were not built`);
+      return;
+    }
+
+    const unitList = await this.getGameData({
+      collection: 'units',
+      match: {
+        obtainable: true,
+        obtainableTime: 0
+      },
+      project: {
+        baseId: 1,
+        rarity: 1,
+        combatType: 1,
+        primaryUnitStat: 1,
+        statProgressionId: 1,
+        unitTierList: 1,
+        relicDefinition: 1,
+        categoryIdList: 1,
+        baseStat: 1,
+        crewContributionTableId: 1
+      }
+    });
+    const statProgressionList = await this.getGameData({
+      collection: 'statProgression'
+    });
+    const equipmentList = await this.getGameData({
+      collection: 'equipment',
+      project: {
+        id: 1,
+        equipmentStat: 1
+      }
+    });
+    const relicTierList = await this.getGameData({
+      collection: 'relicTierDefinition',
+      project: {
+        id: 1,
+        stat: 1,
+        relicStatTable: 1
+      }
+    });
+    const modSetList = await this.getGameData({
+      collection: 'statModSet'
+    });
+    const tableList = await this.getGameData({
+      collection: 'table',
+      project: {
+        id: 1,
+        rowList: 1
+      }
+    });
+
+    return statCalculator.buildStatTables({
+      unitList,
+      statProgressionList,
+      equipmentList,
+      relicTierList,
+      modSetList,
+      tableList,
+      unitStats
+    });
+  }
+
+  // a failed enum fetch shouldn't fail a game data update that has already been downloaded.  Stat ids rarely
+  // change, so the enums saved for an earlier game version are used instead
+  async _loadUnitStats() {
+    let unitStats;
+    try {
+      ({ UnitStat: unitStats } = await this._loadEnums(this._version.game));
+    } catch(error) {
+      console.warn(`Unable to load enums for the stat tables, using the saved enums: ${error.message}`);
+      const enumFile = await this.readFile('enums').catch(() => undefined);
+      unitStats = enumFile?.data?.UnitStat;
+    }
+    return unitStats;
+  }
+
+  // files added by a newer release don't exist until the next game data update, so they are built from the
+  // collections already saved instead of failing, which would download all of the game data again.  A file that
+  // can't be built yet is left empty, and isn't saved so it is tried again on the next start
+  async _readOrBuildFile(fileName, build) {
+    try {
+      return await this.readFile(fileName);
+    } catch(error) {
+      console.debug(`Unable to read ${fileName}, building it from the saved game data: ${error.message}`);
+      const contents = await build();
+      if (contents === undefined) {
+        return {};
+      }
+      await this.writeFile(fileName, contents);
+      return contents;
+    }
+  }
+
   async writeFile(fileName, jsonContents) {
     try {
       return await utils.writeFile(this.dataPath, fileName, jsonContents);
@@ -1046,6 +1914,56 @@ module.exports = class HelpFormatter {
   }
 };
 module.exports.NotInGuildError = NotInGuildError;
+module.exports.GuildNotFoundError = GuildNotFoundError;
+module.exports.NoAllyCodeError = NoAllyCodeError;
+module.exports.InvalidAllyCodeError = InvalidAllyCodeError;
+module.exports.CollectionNotFoundError = CollectionNotFoundError;
+module.exports.LanguageNotFoundError = LanguageNotFoundError;
+module.exports.GameDataUnavailableError = GameDataUnavailableError;
+
+function getFilterValues(filter) {
+  if (filter === undefined) return;
+  return Array.isArray(filter) ? filter : [filter];
+}
+
+function isEnumMatch(filter, value, names = {}) {
+  return filter.some(filterValue => filterValue == value || filterValue === names[value]);
+}
+
+// timestamps are in milliseconds, or any date string Date.parse understands
+function getTimestamp(value) {
+  if (value === undefined) return;
+  return (typeof value === 'number') ? value : Date.parse(value);
+}
+
+function getRollEfficiency(roll, { min, max }) {
+  return (max > min) ? Math.min(1, Math.max(0, (roll - min) / (max - min))) : 1;
+}
+
+function getModStatDetails(unitStat, flatStats, language) {
+  const statName = MOD_STAT_NAMES[unitStat] || {};
+  return {
+    name: language[statName.nameKey] || statName.name || null,
+    isPercent: !flatStats.includes(unitStat)
+  };
+}
+
+// the .help skill tier of the first entry in the tier list with the flag set, ie: isZetaTier
+function getSkillTier(tierList, flag) {
+  const index = (tierList || []).findIndex(tier => tier[flag]);
+  return (index >= 0) ? index + 2 : null;
+}
+
+// keyed by the .help skill tier, which starts at 2 for the first entry in the tier list
+function getPowerOverrideTags(tierList) {
+  const tags = {};
+  (tierList || []).forEach(({ powerOverrideTag }, index) => {
+    if (powerOverrideTag) {
+      tags[index + 2] = powerOverrideTag;
+    }
+  });
+  return tags;
+}
 
 function getUnitDefId(unitDefId) {
   let response = unitDefId;
@@ -0,0 +1,67 @@
+module.exports = class RateLimiter {
+  constructor(limit = 0, windowSeconds = 60) {
+    this._limit = Number(limit) || 0;
+    this._windowMsec = (Number(windowSeconds) || 60) * 1000;
+    this._windowMap = {};
+
+    if (this.enabled) {
+      // a single timer clears out the windows that have ended
+      this._sweepInterval = setInterval((this.sweep).bind(this), this._windowMsec);
+      this._sweepInterval.unref();
+    }
+  }
+
+  get enabled() {
+    return this._limit > 0;
+  }
+
+  // uses a fixed window per key.  A request that costs more than the whole limit is still
+  // allowed when nothing else has been used in the window, otherwise it could never succeed
+  consume(key, cost = 1) {
+    const now = new Date().getTime();
+    let window = this._windowMap[key];
+    if (!window || window.reset <= now) {
+      window = {
+        used: 0,
+        reset: now + this._windowMsec
+      };
+      this._windowMap[key] = window;
+    }
+
+    const allowed = (window.used === 0 || window.used + cost <= this._limit);
+    if (allowed) {
+      window.used += cost;
+    }
+
+    return {
+      allowed,
+      limit: this._limit,
+      remaining: Math.max(0, this._limit - window.used),
+      reset: window.reset
+    };
+  }
+
+  // adjusts what has been used in the window without checking the limit, for costs only known once a request has
+  // been handled.  A negative cost refunds part of what was consumed.  Going over the limit means the next request
+  // in the window is rejected
+  charge(key, cost) {
+    const window = this._windowMap[key];
+    if (window && window.reset > new Date().getTime()) {
+      window.used = Math.max(0, window.used + cost);
+    }
+
+    return {
+      limit: this._limit,
+      remaining: window ? Math.max(0, this._limit - window.used) : this._limit
+    };
+  }
+
+  sweep() {
+    const now = new Date().getTime();
+    for (const [key, window] of Object.entries(this._windowMap)) {
+      if (window.reset <= now) {
+        delete this._windowMap[key];
+      }
+    }
+  }
+};
@@ -0,0 +1,435 @@
+const gpCalculator = require('./gpCalculator');
+const { COMBAT_TYPE_CHARACTER, COMBAT_TYPE_SHIP, CREWLESS_LEVEL_FACTOR, RELIC_TIER_OFFSET } = gpCalculator;
+
+// calculates the stats shown in game from the units, statProgression, equipment, relicTierDefinition, statModSet
+// and table collections, using the same formulas as swgoh-stats.  Units are expected in the .help format produced
+// by _formatUnit.  Like the game data, stats are calculated with values scaled up by 1e8 and scaled down at the end
+
+const STAT_SCALE = 1e8;
+// mods are formatted with flat stats scaled by 1e8 and the rest by 1e6, so percentages read the way they do in game
+const MOD_PERCENT_SCALE = 1e6;
+
+const PRIMARY_STATS = {
+  2: 'strength',
+  3: 'agility',
+  4: 'intelligence'
+};
+const MASTERY_STAT = 61;
+const MAX_MOD_LEVEL = 15;
+
+// ships without a crew get their crew rating from their own level and abilities instead.  The level factor is the
+// same one used for their power, but abilities and hardware are weighted differently
+const CREWLESS_HARDWARE_FACTOR = 0.696;
+const CREWLESS_ABILITY_FACTOR = 2.46;
+
+// rounds a scaled value down to a whole stat point, like swgoh-stats' floor(value, 8)
+function floorStat(value) {
+  return Math.floor(value / STAT_SCALE) * STAT_SCALE;
+}
+
+function statListToMap(statList) {
+  const stats = {};
+  for (const { unitStatId, unscaledDecimalValue } of (statList || [])) {
+    stats[unitStatId] = (stats[unitStatId] || 0) + Number(unscaledDecimalValue);
+  }
+  return stats;
+}
+
+function getMasteryModifierId(primaryStat, categoryIdList) {
+  // role_leader is not a mastery role
+  const role = (categoryIdList || []).find(category => /^role_(?!leader)[^_]*$/.test(category));
+  return (PRIMARY_STATS[primaryStat] && role) ? `${PRIMARY_STATS[primaryStat]}_${role}_mastery` : undefined;
+}
+
+function getRelicTier(reference) {
+  const result = /(\d+)$/.exec(reference);
+  return result ? Number(result[1]) + RELIC_TIER_OFFSET : undefined;
+}
+
+// unitStats maps the stat names used by the mastery tables to stat ids, ie: the UnitStat enum
+module.exports.buildStatTables = function({
+  unitList,
+  statProgressionList,
+  equipmentList,
+  relicTierList,
+  modSetList,
+  tableList,
+  unitStats
+}) {
+  const progressions = {};
+  for (const { id, stat } of (statProgressionList || [])) {
+    progressions[id] = statListToMap(stat && stat.statList);
+  }
+
+  const units = {};
+  for (const unit of (unitList || [])) {
+    const { baseId, rarity, combatType, primaryUnitStat, statProgressionId } = unit;
+    if (!units[baseId]) {
+      units[baseId] = {
+        combatType,
+        primaryStat: primaryUnitStat,
+        growthModifiers: {}
+      };
+    }
+
+    // each rarity of a unit is listed separately, with its own growth modifiers for the primary stats
+    const growth = progressions[statProgressionId] || {};
+    units[baseId].growthModifiers[rarity] = {
+      2: growth[2] || 0,
+      3: growth[3] || 0,
+      4: growth[4] || 0
+    };
+
+    if (combatType === COMBAT_TYPE_CHARACTER) {
+      units[baseId].gearTiers = {};
+      for (const { tier, baseStat } of (unit.unitTierList || [])) {
+        units[baseId].gearTiers[tier] = statListToMap(baseStat && baseStat.statList);
+      }
+
+      units[baseId].relics = {};
+      const references = unit.relicDefinition ? unit.relicDefinition.relicTierDefinitionReferenceList : [];
+      for (const reference of (references || [])) {
+        units[baseId].relics[getRelicTier(reference)] = reference;
+      }
+
+      units[baseId].masteryModifier = getMasteryModifierId(primaryUnitStat, unit.categoryIdList);
+    } else if (combatType === COMBAT_TYPE_SHIP) {
+      units[baseId].stats = statListToMap(unit.baseStat && unit.baseStat.statList);
+      units[baseId].crewStats = progressions[unit.crewContributionTableId] || {};
+    }
+  }
+
+  const gear = {};
+  for (const { id, equipmentStat } of (equipmentList || [])) {
+    const stats = statListToMap(equipmentStat && equipmentStat.statList);
+    if (Object.keys(stats).length > 0) {
+      gear[id] = stats;
+    }
+  }
+
+  const relics = {};
+  for (const { id, stat, relicStatTable } of (relicTierList || [])) {
+    relics[id] = {
+      stats: statListToMap(stat && stat.statList),
+      growthModifiers: progressions[relicStatTable] || {}
+    };
+  }
+
+  const modSets = {};
+  for (const { id, completeBonus, setCount } of (modSetList || [])) {
+    if (!completeBonus || !completeBonus.stat) continue;
+
+    modSets[id] = {
+      statId: completeBonus.stat.unitStatId,
+      count: setCount,
+      value: Number(completeBonus.stat.unscaledDecimalValue)
+    };
+  }
+
+  const masteryModifiers = {};
+  for (const { id, rowList } of (tableList || [])) {
+    if (!/_mastery$/.test(id)) continue;
+
+    masteryModifiers[id] = {};
+    for (const { key, value } of (rowList || [])) {
+      if (unitStats && unitStats[key] !== undefined) {
+        masteryModifiers[id][unitStats[key]] = Number(value);
+      }
+    }
+  }
+
+  return { units, gear, relics, modSets, masteryModifiers };
+};
+
+function addStats(target, source) {
+  for (const [statId, value] of Object.entries(source || {})) {
+    target[statId] = (target[statId] || 0) + value;
+  }
+  return target;
+}
+
+function getCharRawStats(unit, unitTable, tables) {
+  const stats = {
+    base: { ...unitTable.gearTiers[unit.gear] },
+    growthModifiers: { ...unitTable.growthModifiers[unit.rarity] },
+    gear: {}
+  };
+
+  for (const { equipmentId } of unit.equipped) {
+    for (const [statId, value] of Object.entries(tables.gear[equipmentId] || {})) {
+      // primary stats from gear apply before mods, the rest apply after
+      if (PRIMARY_STATS[statId]) {
+        stats.base[statId] = (stats.base[statId] || 0) + value;
+      } else {
+        stats.gear[statId] = (stats.gear[statId] || 0) + value;
+      }
+    }
+  }
+
+  const relicTier = unit.relic ? unit.relic.currentTier : 0;
+  const relic = (relicTier > RELIC_TIER_OFFSET) ? tables.relics[unitTable.relics[relicTier]] : undefined;
+  if (relic) {
+    addStats(stats.base, relic.stats);
+    addStats(stats.growthModifiers, relic.growthModifiers);
+  }
+
+  return stats;
+}
+
+function getShipRawStats(ship, unitTable, crewRating, gpTables) {
+  const stats = {
+    base: { ...unitTable.stats },
+    growthModifiers: { ...unitTable.growthModifiers[ship.rarity] },
+    crew: {}
+  };
+
+  const multiplier = (gpTables.shipRarityFactor ? gpTables.shipRarityFactor[ship.rarity] || 0 : 0) * crewRating;
+  for (const [statId, value] of Object.entries(unitTable.crewStats)) {
+    // stats up to 15 and protection are whole numbers in game, the rest keep 8 decimal places
+    const precision = (Number(statId) < 16 || Number(statId) === 28) ? STAT_SCALE : 1;
+    stats.crew[statId] = Math.floor(value * multiplier / precision) * precision;
+  }
+
+  return stats;
+}
+
+function getCrewlessCrewRating(ship, gpTables) {
+  const lookup = (table, key) => (table && table[key]) || 0;
+  let crewRating = lookup(gpTables.unitRarity, ship.rarity) + CREWLESS_LEVEL_FACTOR * lookup(gpTables.unitLevel, ship.level);
+  for (const { id, tier } of ship.skills) {
+    crewRating += (id.startsWith('hardware') ? CREWLESS_HARDWARE_FACTOR : CREWLESS_ABILITY_FACTOR) * lookup(gpTables.abilityLevel, tier);
+  }
+  return Math.floor(crewRating);
+}
+
+// adds the secondary stats that come from the primary stats and mastery
+function calcBaseStats(stats, level, unitTable, tables) {
+  const base = stats.base;
+  for (const statId of Object.keys(PRIMARY_STATS)) {
+    base[statId] = (base[statId] || 0) + floorStat((stats.growthModifiers[statId] || 0) * level);
+  }
+
+  if (base[MASTERY_STAT] && unitTable.masteryModifier) {
+    for (const [statId, modifier] of Object.entries(tables.masteryModifiers[unitTable.masteryModifier] || {})) {
+      base[statId] = (base[statId] || 0) + base[MASTERY_STAT] * modifier;
+    }
+  }
+
+  base[1] = (base[1] || 0) + base[2] * 18;                                           // health
+  base[6] = floorStat((base[6] || 0) + (base[unitTable.primaryStat] || 0) * 1.4);    // physical damage
+  base[7] = floorStat((base[7] || 0) + base[4] * 2.4);                               // special damage
+  base[8] = floorStat((base[8] || 0) + base[2] * 0.14 + base[3] * 0.07);             // armor
+  base[9] = floorStat((base[9] || 0) + base[4] * 0.1);                               // resistance
+  base[14] = floorStat((base[14] || 0) + base[3] * 0.4);                             // physical critical rating
+
+  // minimums that every unit has, even when the game data leaves them out
+  base[12] = base[12] || 24 * STAT_SCALE;        // dodge rating
+  base[13] = base[13] || 24 * STAT_SCALE;        // deflection rating
+  base[15] = base[15] || 0;                      // special critical rating
+  base[16] = (base[16] || 0) + 150 * 1e6;        // critical damage, +150%
+  base[18] = (base[18] || 0) + 15 * 1e6;         // tenacity, +15%
+
+  return stats;
+}
+
+// counts the mods of each set, and how many of them are at max level
+function countModSets(mods) {
+  const sets = {};
+  for (const { set, level } of mods) {
+    if (!set) continue;
+
+    sets[set] = sets[set] || { count: 0, maxLevel: 0 };
+    sets[set].count++;
+    if (level === MAX_MOD_LEVEL) {
+      sets[set].maxLevel++;
+    }
+  }
+  return sets;
+}
+
+// each complete set gives its bonus, and gives it again when all of its mods are at max level
+function getModSetBonuses({ count, maxLevel }, required) {
+  return {
+    bonuses: required ? Math.floor(count / required) : 0,
+    maxBonuses: required ? Math.floor(maxLevel / required) : 0
+  };
+}
+
+function calcModStats(base, mods, flatStats, tables) {
+  const raw = {};
+  const scaleValue = (statId, value) => value * (flatStats.includes(statId) ? STAT_SCALE : MOD_PERCENT_SCALE);
+
+  for (const { set, primaryStat, secondaryStat } of mods) {
+    if (!set) continue;
+
+    raw[primaryStat.unitStat] = (raw[primaryStat.unitStat] || 0) + scaleValue(primaryStat.unitStat, primaryStat.value);
+    for (const { unitStat, value } of secondaryStat) {
+      raw[unitStat] = (raw[unitStat] || 0) + scaleValue(unitStat, value);
+    }
+  }
+
+  for (const [setId, counts] of Object.entries(countModSets(mods))) {
+    const modSet = tables.modSets[setId];
+    if (!modSet || !modSet.count) continue;
+
+    const { bonuses, maxBonuses } = getModSetBonuses(counts, modSet.count);
+    raw[modSet.statId] = (raw[modSet.statId] || 0) + modSet.value * (bonuses + maxBonuses);
+  }
+
+  const modStats = {};
+  const add = (statId, value) => {
+    modStats[statId] = (modStats[statId] || 0) + value;
+  };
+  // percentage bonuses only add whole stat points
+  const addPercent = (statId, value) => {
+    modStats[statId] = floorStat((modStats[statId] || 0) + (base[statId] || 0) * value / STAT_SCALE);
+  };
+
+  for (const [statId, value] of Object.entries(raw)) {
+    switch (Number(statId)) {
+      case 41: // offense
+        add(6, value);
+        add(7, value);
+        break;
+      case 42: // defense
+        add(8, value);
+        add(9, value);
+        break;
+      case 48: // offense %
+        addPercent(6, value);
+        addPercent(7, value);
+        break;
+      case 49: // defense %
+        addPercent(8, value);
+        addPercent(9, value);
+        break;
+      case 53: // critical chance
+        add(21, value);
+        add(22, value);
+        break;
+      case 54: // critical avoidance
+        add(35, value);
+        add(36, value);
+        break;
+      case 55: // health %
+        addPercent(1, value);
+        break;
+      case 56: // protection %
+        addPercent(28, value);
+        break;
+      case 57: // speed %
+        addPercent(5, value);
+        break;
+      default:
+        add(statId, value);
+    }
+  }
+
+  return modStats;
+}
+
+// ratings are shown in game as a percentage, which is returned as a fraction
+function toDefensePercent(value, level, isShip) {
+  const levelEffect = isShip ? 300 + level * 5 : level * 7.5;
+  return value / (levelEffect + value);
+}
+
+function toCritPercent(value) {
+  return value / 2400 + 0.1;
+}
+
+function toAccuracyPercent(value) {
+  return value / 1200;
+}
+
+function toCritAvoidancePercent(value) {
+  return value / 2400;
+}
+
+// base, gear, mods and crew are each listed separately, and final combines them the way the game displays them
+function formatStats(stats, level, isShip) {
+  const response = {};
+  const final = {};
+
+  for (const type of ['base', 'gear', 'mods', 'crew']) {
+    if (!stats[type]) continue;
+
+    response[type] = {};
+    for (const [statId, value] of Object.entries(stats[type])) {
+      response[type][statId] = value / STAT_SCALE;
+    }
+    addStats(final, response[type]);
+  }
+
+  const convert = (statId, toPercent) => {
+    final[statId] = toPercent(final[statId] || 0);
+  };
+  convert(8, value => toDefensePercent(value, level, isShip));  // armor
+  convert(9, value => toDefensePercent(value, level, isShip));  // resistance
+  convert(14, toCritPercent);                                   // physical critical chance
+  convert(15, toCritPercent);                                   // special critical chance
+  convert(12, toAccuracyPercent);                               // dodge
+  convert(13, toAccuracyPercent);                               // deflection
+  convert(37, toAccuracyPercent);                               // physical accuracy
+  convert(38, toAccuracyPercent);                               // special accuracy
+  convert(39, toCritAvoidancePercent);                          // physical critical avoidance
+  convert(40, toCritAvoidancePercent);                          // special critical avoidance
+
+  // percentages from mods are added to the percentages converted from ratings
+  for (const [percentStatId, statId] of [[21, 14], [22, 15], [35, 39], [36, 40]]) {
+    if (final[percentStatId] !== undefined) {
+      final[statId] += final[percentStatId];
+      delete final[percentStatId];
+    }
+  }
+
+  response.final = final;
+  return response;
+}
+
+function calcCharStats(unit, tables, flatStats) {
+  const unitTable = tables.units[unit.defId];
+  if (!unitTable || !unitTable.gearTiers || !unitTable.gearTiers[unit.gear]) return undefined;
+
+  const stats = calcBaseStats(getCharRawStats(unit, unitTable, tables), unit.level, unitTable, tables);
+  stats.mods = calcModStats(stats.base, unit.mods, flatStats, tables);
+  return formatStats(stats, unit.level, false);
+}
+
+function calcShipStats(ship, crew, tables, gpTables) {
+  const unitTable = tables.units[ship.defId];
+  if (!unitTable || !unitTable.stats) return undefined;
+
+  const crewRating = (crew.length === 0) ? getCrewlessCrewRating(ship, gpTables) :
+    crew.reduce((total, member) => total + gpCalculator.calcCharCp(member, gpTables), 0);
+  const stats = calcBaseStats(getShipRawStats(ship, unitTable, crewRating, gpTables), ship.level, unitTable, tables);
+  return formatStats(stats, ship.level, true);
+}
+
+// fills in roster[].stats.  Characters are calculated first, since a ship's stats come from its crew.  Units
+// missing from the game data, or ships whose crew isn't in the roster, are left without stats
+module.exports.calcRosterStats = function(roster, tables, gpTables, flatStats) {
+  const characters = {};
+  for (const unit of roster) {
+    if (unit.combatType === COMBAT_TYPE_CHARACTER) {
+      unit.stats = calcCharStats(unit, tables, flatStats);
+      characters[unit.defId] = unit;
+    }
+  }
+
+  for (const ship of roster) {
+    if (ship.combatType !== COMBAT_TYPE_SHIP) continue;
+
+    const crew = ship.crew.map(({ unitId }) => characters[unitId]);
+    if (crew.some(member => !member)) continue;
+
+    ship.stats = calcShipStats(ship, crew, tables, gpTables);
+  }
+
+  return roster;
+};
+
+module.exports.countModSets = countModSets;
+module.exports.getModSetBonuses = getModSetBonuses;
+module.exports.calcCharStats = calcCharStats;
+module.exports.calcShipStats = calcShipStats;
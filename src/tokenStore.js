@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const utils = require('./utils');
+
+// matches "<token>": { <details> } entries, or the "<token>": <expiry epoch> entries saved by older versions,
+// used to salvage tokens from a damaged file
+const tokenEntryRegex = /"([0-9a-f]{40})"\s*:\s*(?:([0-9]+)|(\{[^{}]*\}))/g;
+
+module.exports = class TokenStore {
+  constructor(dataPath, fileName = 'tokens') {
+    this._dataPath = dataPath;
+    this._fileName = fileName;
+    this._writeQueue = Promise.resolve();
+    this._queuedWrite = null;
+    this._latestTokens = {};
+  }
+
+  get filePath() {
+    return path.join(this._dataPath, `${this._fileName}.json`);
+  }
+
+  // writes run one at a time.  Saves requested while a write is waiting in the queue
+  // share that write, which persists whatever the latest tokens are when it runs
+  save(tokens) {
+    this._latestTokens = tokens;
+
+    if (!this._queuedWrite) {
+      this._queuedWrite = this._writeQueue.then(async () => {
+        this._queuedWrite = null;
+        console.debug('Saving tokens...');
+        await utils.writeFile(this._dataPath, this._fileName, this._latestTokens);
+      });
+      this._writeQueue = this._queuedWrite.catch(() => {});
+    }
+
+    return this._queuedWrite;
+  }
+
+  async load() {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.filePath, {encoding: "utf8"});
+    } catch(error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw(error);
+    }
+
+    let tokens;
+    try {
+      tokens = this._validTokens(JSON.parse(contents));
+    } catch(error) {
+      console.warn(`Tokens file is corrupt, recovering the valid tokens: ${error.message}`);
+      tokens = this._recoverTokens(contents);
+
+      // keep the damaged file around for inspection, and replace it with what could be recovered
+      await fs.promises.copyFile(this.filePath, `${this.filePath}.corrupt`).catch((error) => {
+        console.warn(`Unable to back up corrupt tokens file: ${error.message}`);
+      });
+      // the recovered tokens are still used when they can't be saved, ie: the data path is read only
+      await this.save(tokens).catch((error) => {
+        console.error(`Unable to save the recovered tokens: ${error.message}`);
+      });
+      console.warn(`Recovered ${Object.keys(tokens).length} tokens from the corrupt tokens file`);
+    }
+
+    return tokens;
+  }
+
+  _validTokens(tokens) {
+    if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) {
+      throw new Error(`Expected an object of tokens`);
+    }
+
+    const response = {};
+    for (const [token, details] of Object.entries(tokens)) {
+      const validDetails = this._validTokenDetails(details);
+      if (validDetails) {
+        response[token] = validDetails;
+      }
+    }
+    return response;
+  }
+
+  _validTokenDetails(details) {
+    let response;
+    if (Number.isFinite(details)) {
+      // older versions only saved the expiry, without the user the token was issued to
+      response = { expires: details };
+    } else if (details && typeof details === 'object' && Number.isFinite(details.expires)) {
+      response = details;
+    }
+    return response;
+  }
+
+  _recoverTokens(contents) {
+    const response = {};
+    for (const [, token, epoch, details] of contents.matchAll(tokenEntryRegex)) {
+      let validDetails;
+      try {
+        validDetails = this._validTokenDetails(epoch ? Number(epoch) : JSON.parse(details));
+      } catch(error) {
+        continue;
+      }
+
+      if (validDetails) {
+        response[token] = validDetails;
+      }
+    }
+    return response;
+  }
+};
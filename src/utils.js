@@ -1,4 +1,5 @@
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 
 // https://en.wikipedia.org/wiki/Fowler%E2%80%93Noll%E2%80%93Vo_hash_function
@@ -24,6 +25,8 @@ module.exports.generatePlayerId = function(playerId) {
   return 'P'+createHash(playerId);
 };
 
+const gameDataListSuffix = /List$/;
+
 function isTruthyObject(value) {
   return (typeof value === 'object' && value !== null);
 }
@@ -106,12 +109,79 @@ function localize(source, language) {
   return response;
 };
 
+module.exports.buildEnumFields = function(enums) {
+  // map each enum's value back to its name, keyed by the field name it appears under
+  const enumFields = Object.create(null);
+  for (const [enumName, values] of Object.entries(enums || {})) {
+    if (!isTruthyObject(values)) continue;
+    const names = Object.create(null);
+    for (const [name, value] of Object.entries(values)) {
+      names[value] = name;
+    }
+    enumFields[enumName.charAt(0).toLowerCase() + enumName.slice(1)] = names;
+  }
+  return enumFields;
+};
+
+function enumName(names, value) {
+  return (isTruthyWithZero(value) && names[value] !== undefined) ? names[value] : value;
+}
+
+module.exports.enumify = enumify;
+function enumify(source, enumFields) {
+  let response = source;
+  if (source && enumFields) {
+    if (Array.isArray(source)) {
+      response = source.map(value => enumify(value, enumFields));
+    } else if (isTruthyObject(source)) {
+      response = {};
+      for (let key of Object.keys(source)) {
+        const sourceValue = source[key];
+        // game data collections have their array fields renamed with a List suffix
+        const names = enumFields[key] || enumFields[key.replace(gameDataListSuffix, '')];
+
+        if (names && Array.isArray(sourceValue)) {
+          response[key] = sourceValue.map(value => isTruthyObject(value) ? enumify(value, enumFields) : enumName(names, value));
+        } else if (isTruthyObject(sourceValue)) {
+          response[key] = enumify(sourceValue, enumFields);
+        } else if (names) {
+          response[key] = enumName(names, sourceValue);
+        } else {
+          response[key] = sourceValue;
+        }
+      }
+    }
+  }
+
+  return response;
+}
+
+// match filters and indexes both compare values by this key, so a filter gives the same result with or without an
+// index.  Numbers, booleans and strings that convert to a number compare as numbers, the same way == converts them,
+// ie: "07" and 7 match, and null matches a missing field
+module.exports.getMatchKey = getMatchKey;
+function getMatchKey(value) {
+  let key = value;
+  if (value === null || value === undefined) {
+    key = null;
+  } else if (typeof value === 'number' || typeof value === 'boolean') {
+    key = `${Number(value)}`;
+  } else if (typeof value === 'string' && Number.isFinite(Number(value))) {
+    key = `${Number(value)}`;
+  }
+  return key;
+}
+
+function isIndexable(value) {
+  return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+}
+
 module.exports.match = function(matchFilter) {
   // expecting to be used with Array.prototype.filter, so return a filter function
   return (value) => {
     let matches = true;
     for (let matchKey of Object.keys(matchFilter)) {
-      if (matchFilter[matchKey] != value[matchKey]) {
+      if (getMatchKey(matchFilter[matchKey]) !== getMatchKey(value[matchKey])) {
         // short circuit out
         matches = false;
         break;
@@ -121,6 +191,54 @@ module.exports.match = function(matchFilter) {
   };
 };
 
+// maps the match key of each value of the fields to the positions of the elements that have it, in the same order
+// as the source.  Positions are used rather than the elements so the indexes can be saved with the game data
+module.exports.buildIndexes = function(source, fields) {
+  const indexes = {};
+  for (const field of fields) {
+    const index = Object.create(null);
+    let size = 0;
+    source.forEach((element, position) => {
+      const value = isTruthyObject(element) ? element[field] : undefined;
+      if (!isIndexable(value)) return;
+
+      const key = getMatchKey(value);
+      if (!index[key]) {
+        index[key] = [];
+        size++;
+      }
+      index[key].push(position);
+    });
+    // skip fields that are not in this collection
+    if (size > 0) {
+      indexes[field] = index;
+    }
+  }
+  return indexes;
+};
+
+// returns the positions of the smallest list of elements that could match the filter, or nothing when any of
+// the match keys can't be looked up in an index and the whole collection needs to be scanned
+module.exports.lookupIndexes = function(indexes, matchFilter) {
+  let response;
+  const keys = Object.keys(matchFilter);
+  if (keys.length === 0) return response;
+
+  for (const key of keys) {
+    const value = matchFilter[key];
+    if (!Object.prototype.hasOwnProperty.call(indexes, key) || !isIndexable(value)) {
+      return undefined;
+    }
+
+    const matchKey = getMatchKey(value);
+    const candidates = Object.prototype.hasOwnProperty.call(indexes[key], matchKey) ? indexes[key][matchKey] : [];
+    if (!response || candidates.length < response.length) {
+      response = candidates;
+    }
+  }
+  return response;
+};
+
 module.exports.project = project;
 function project(source, projection) {
   let response = {};
@@ -158,24 +276,91 @@ function project(source, projection) {
   return response;
 };
 
-module.exports.structurify = function(json) {
-  return JSON.parse(JSON.stringify(json, structurifyReplacer));
-};
-
-function structurifyReplacer(key, value) {
-  if (Array.isArray(value)) {
-    return [value[0]];
+module.exports.structurify = structurify;
+function structurify(json) {
+  let response;
+  if (Array.isArray(json)) {
+    // merge the fields of every element so that optional fields are still listed
+    response = [];
+    for (let i = 0; i < json.length; i++) {
+      response[0] = mergeStructure(response[0], structurify(json[i]));
+    }
+    if (response[0] === undefined) {
+      response = [];
+    }
+  } else if (isTruthyObject(json)) {
+    response = {};
+    for (let key of Object.keys(json)) {
+      if (json[key] !== undefined) {
+        response[key] = structurify(json[key]);
+      }
+    }
+  } else if (json === null || json === undefined) {
+    response = json;
   } else {
-    if (typeof value !== 'object') {
-      return typeof value;
+    response = typeof json;
+  }
+
+  return response;
+}
+
+function mergeStructure(a, b) {
+  let response;
+  if (a === undefined || a === null) {
+    response = b;
+  } else if (b === undefined || b === null) {
+    response = a;
+  } else if (Array.isArray(a) && Array.isArray(b)) {
+    const element = mergeStructure(a[0], b[0]);
+    response = (element === undefined) ? [] : [element];
+  } else if (isTruthyObject(a) && isTruthyObject(b) && !Array.isArray(a) && !Array.isArray(b)) {
+    response = { ...a };
+    for (let key of Object.keys(b)) {
+      response[key] = mergeStructure(a[key], b[key]);
     }
-    return value;
+  } else if (isTruthyObject(a) || isTruthyObject(b)) {
+    // keep the nested structure when a field is sometimes a primitive
+    response = isTruthyObject(a) ? a : b;
+  } else {
+    // fields that hold more than one type are listed as a union, ie: number|string
+    response = [...new Set(`${a}|${b}`.split('|'))].sort().join('|');
+  }
+
+  return response;
+}
+
+module.exports.writeFileAtomic = writeFileAtomic;
+async function writeFileAtomic(filePath, contents, options) {
+  // write to a temporary file first, so that a crash mid write never leaves a partial file behind
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await fs.promises.writeFile(tempPath, contents, options);
+    return await fs.promises.rename(tempPath, filePath);
+  } catch(error) {
+    await fs.promises.rm(tempPath, { force: true }).catch(() => {});
+    throw(error);
   }
 }
 
 module.exports.writeFile = async function (dataPath, fileName, jsonContents) {
   try {
-    return await fs.promises.writeFile(path.join(dataPath, `${fileName}.json`), JSON.stringify(jsonContents), {encoding: "utf8"});
+    return await writeFileAtomic(path.join(dataPath, `${fileName}.json`), JSON.stringify(jsonContents), {encoding: "utf8"});
+  } catch(error) {
+    throw(error);
+  }
+}
+
+module.exports.getFileSize = async function (dataPath, fileName) {
+  try {
+    return (await fs.promises.stat(path.join(dataPath, `${fileName}.json`))).size;
+  } catch(error) {
+    throw(error);
+  }
+}
+
+module.exports.getFileModified = async function (dataPath, fileName) {
+  try {
+    return (await fs.promises.stat(path.join(dataPath, `${fileName}.json`))).mtimeMs;
   } catch(error) {
     throw(error);
   }
@@ -0,0 +1,214 @@
+const makeError = require("make-error");
+
+const ValidationError = makeError('ValidationError');
+
+const allyCodeRegex = new RegExp('^[0-9]{3}-?[0-9]{3}-?[0-9]{3}$');
+const ALLY_CODE_FIELDS = ['allyCodes', 'allycodes', 'allycode', 'allyCode'];
+
+function isObject(value) {
+  return (typeof value === 'object' && value !== null && !Array.isArray(value));
+}
+
+function isAllyCode(value) {
+  return (typeof value === 'number' || typeof value === 'string') && allyCodeRegex.test(`${value}`);
+}
+
+// each rule returns an error message, or nothing when the value is valid
+const RULES = {
+  boolean: (value) => {
+    if (typeof value !== 'boolean') return 'must be a boolean';
+  },
+  string: (value) => {
+    if (typeof value !== 'string' || value.length === 0) return 'must be a non-empty string';
+  },
+  nonNegativeNumber: (value) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) return 'must be a number of 0 or more';
+  },
+  stringList: (value) => {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || values.some(entry => typeof entry !== 'string' || entry.length === 0)) {
+      return 'must be a string or a non-empty array of strings';
+    }
+  },
+  allyCodes: (value) => {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0) return 'must contain at least one ally code';
+    const invalid = values.find(entry => !isAllyCode(entry));
+    if (invalid !== undefined) return `contains an invalid ally code: ${JSON.stringify(invalid)}`;
+  },
+  project: (value) => {
+    if (!isObject(value)) return 'must be an object';
+    for (const [key, projectValue] of Object.entries(value)) {
+      if (isObject(projectValue)) {
+        const message = RULES.project(projectValue);
+        if (message) return message;
+      } else if (typeof projectValue !== 'boolean' && projectValue !== 0 && projectValue !== 1) {
+        return `field ${key} must be 0, 1, true, false or a nested projection`;
+      }
+    }
+  },
+  enumList: (value) => {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || values.some(entry => !(typeof entry === 'number' && Number.isInteger(entry)) &&
+        !(typeof entry === 'string' && entry.length > 0))) {
+      return 'must be an enum value or name, or a non-empty array of them';
+    }
+  },
+  timestamp: (value) => {
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value) || value < 0) return 'must be a timestamp in milliseconds or a date string';
+    } else if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+      return 'must be a timestamp in milliseconds or a date string';
+    }
+  },
+  match: (value) => {
+    if (!isObject(value)) return 'must be an object';
+    for (const [key, matchValue] of Object.entries(value)) {
+      if (typeof matchValue === 'object' && matchValue !== null) {
+        return `field ${key} must be a string, number, boolean or null`;
+      }
+    }
+  }
+};
+
+const COMMON_FIELDS = {
+  format: 'boolean',
+  structure: 'boolean',
+  enums: 'boolean',
+  project: 'project',
+  language: 'string'
+};
+
+const ALLY_CODE_SCHEMA = {
+  fields: {
+    ...COMMON_FIELDS,
+    allyCodes: 'allyCodes',
+    allycodes: 'allyCodes',
+    allycode: 'allyCodes',
+    allyCode: 'allyCodes'
+  },
+  requireOneOf: ALLY_CODE_FIELDS
+};
+
+const STALE_FIELDS = {
+  maxStaleness: 'nonNegativeNumber',
+  allowStale: 'boolean'
+};
+
+const SCHEMAS = {
+  players: {
+    ...ALLY_CODE_SCHEMA,
+    fields: {
+      ...ALLY_CODE_SCHEMA.fields,
+      ...STALE_FIELDS,
+      calcGp: 'boolean',
+      calcStats: 'boolean',
+      modDetails: 'boolean'
+    }
+  },
+  guilds: {
+    ...ALLY_CODE_SCHEMA,
+    fields: {
+      ...ALLY_CODE_SCHEMA.fields,
+      ...STALE_FIELDS,
+      cacheMaxAge: 'nonNegativeNumber'
+    }
+  },
+  roster: {
+    ...ALLY_CODE_SCHEMA,
+    fields: {
+      ...ALLY_CODE_SCHEMA.fields,
+      calcGp: 'boolean',
+      calcStats: 'boolean',
+      modDetails: 'boolean'
+    }
+  },
+  units: {
+    ...ALLY_CODE_SCHEMA,
+    fields: {
+      ...ALLY_CODE_SCHEMA.fields,
+      guild: 'boolean',
+      units: 'stringList',
+      cacheMaxAge: 'nonNegativeNumber',
+      calcGp: 'boolean',
+      modDetails: 'boolean'
+    }
+  },
+  data: {
+    fields: {
+      ...COMMON_FIELDS,
+      collection: 'string',
+      match: 'match'
+    },
+    required: ['collection']
+  },
+  battles: {
+    fields: {
+      ...COMMON_FIELDS,
+      match: 'match'
+    }
+  },
+  events: {
+    fields: {
+      ...COMMON_FIELDS,
+      match: 'match',
+      gameEventType: 'enumList',
+      gameEventStatus: 'enumList',
+      activeAt: 'timestamp',
+      from: 'timestamp',
+      to: 'timestamp'
+    }
+  }
+};
+
+function fieldError(field, message) {
+  const error = new ValidationError(message);
+  error.field = field;
+  return error;
+}
+
+// unknown fields are ignored, the same as api.swgoh.help
+function validate(schema, body) {
+  if (!isObject(body)) {
+    throw new ValidationError(`Request body must be a JSON object`);
+  }
+
+  for (const field of (schema.required || [])) {
+    if (body[field] === undefined) {
+      throw fieldError(field, `Missing required field: ${field}`);
+    }
+  }
+
+  if (schema.requireOneOf && !schema.requireOneOf.some(field => body[field] !== undefined)) {
+    throw fieldError(schema.requireOneOf[0], `Missing required field: ${schema.requireOneOf[0]}`);
+  }
+
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    if (body[field] === undefined) continue;
+
+    const message = RULES[rule](body[field]);
+    if (message) {
+      throw fieldError(field, `Invalid field ${field}: ${message}`);
+    }
+  }
+}
+
+module.exports.SCHEMAS = SCHEMAS;
+module.exports.ValidationError = ValidationError;
+module.exports.validate = validate;
+
+// express middleware that rejects requests whose body does not match the schema
+module.exports.validateBody = function(schema) {
+  return (req, res, next) => {
+    if (req.body === undefined) {
+      req.body = {};
+    }
+
+    try {
+      validate(schema, req.body);
+      next();
+    } catch(error) {
+      next(error);
+    }
+  };
+};
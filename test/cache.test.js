@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Cache = require('../src/cache');
+
+function makeCache(t, cacheTTL, options) {
+  t.mock.timers.enable({ apis: ['Date', 'setInterval'], now: 1000000 });
+  return new Cache(cacheTTL, options);
+}
+
+test('aliases return the same entry without storing it twice', (t) => {
+  const cache = makeCache(t, 60000);
+  cache.set('player', { name: 'a' }, ['111111111', 'player']);
+
+  assert.deepStrictEqual(cache.get('111111111'), { name: 'a' });
+  assert.strictEqual(cache.get('player'), cache.get('111111111'));
+  assert.strictEqual(cache.size, 1);
+
+  cache.remove('111111111');
+  assert.strictEqual(cache.get('player'), undefined);
+  assert.strictEqual(cache.get('111111111'), undefined);
+});
+
+test('the least recently used entry is evicted first', (t) => {
+  const cache = makeCache(t, 60000, { maxEntries: 2 });
+  cache.set('a', 1, ['alias-a']);
+  cache.set('b', 2, ['alias-b']);
+  // reading through the alias marks a as recently used
+  assert.strictEqual(cache.get('alias-a'), 1);
+  cache.set('c', 3);
+
+  assert.strictEqual(cache.get('b'), undefined);
+  assert.strictEqual(cache.get('alias-b'), undefined);
+  assert.strictEqual(cache.get('a'), 1);
+  assert.strictEqual(cache.get('c'), 3);
+  assert.strictEqual(cache.size, 2);
+});
+
+test('an alias moved to a new entry is no longer removed with the old one', (t) => {
+  const cache = makeCache(t, 60000, { maxEntries: 2 });
+  cache.set('a', 1, ['shared']);
+  cache.set('b', 2, ['shared']);
+  assert.strictEqual(cache.get('shared'), 2);
+
+  cache.set('c', 3);
+  cache.set('d', 4);
+  // a and then b have been evicted, taking the alias with b
+  assert.strictEqual(cache.get('shared'), undefined);
+  assert.deepStrictEqual([...cache._aliases.keys()], []);
+});
+
+test('entries are evicted to stay within the byte budget', (t) => {
+  const cache = makeCache(t, 60000, { maxBytes: 10, sizeOf: (value) => value.length });
+  cache.set('a', 'aaaa');
+  cache.set('b', 'bbbb');
+  assert.strictEqual(cache.bytes, 8);
+
+  cache.set('c', 'cccc');
+  assert.strictEqual(cache.get('a'), undefined);
+  assert.strictEqual(cache.bytes, 8);
+
+  // replacing an entry only counts its new size
+  cache.set('b', 'bb');
+  assert.strictEqual(cache.bytes, 6);
+  assert.strictEqual(cache.get('c'), 'cccc');
+});
+
+test('a value larger than the byte budget is not cached and leaves the cache alone', (t) => {
+  const cache = makeCache(t, 60000, { maxBytes: 10, sizeOf: (value) => value.length });
+  cache.set('a', 'aaaa');
+  cache.set('big', 'x'.repeat(11), ['big-alias']);
+
+  assert.strictEqual(cache.get('big'), undefined);
+  assert.strictEqual(cache.get('big-alias'), undefined);
+  assert.strictEqual(cache.get('a'), 'aaaa');
+  assert.strictEqual(cache.bytes, 4);
+});
+
+test('expired entries are kept for the stale time', (t) => {
+  const cache = makeCache(t, 1000, { staleTime: 5000 });
+  cache.set('a', 1);
+
+  t.mock.timers.tick(2000);
+  assert.strictEqual(cache.get('a'), undefined);
+  assert.strictEqual(cache.getStale('a'), 1);
+  assert.strictEqual(cache.getStale('a', 500), undefined);
+
+  t.mock.timers.tick(4000);
+  assert.strictEqual(cache.getStale('a'), undefined);
+  assert.strictEqual(cache.size, 0);
+});
+
+test('stats count hits and misses', (t) => {
+  const cache = makeCache(t, 60000);
+  cache.set('a', 1);
+  cache.get('a');
+  cache.get('b');
+
+  const { hits, misses, hitRate } = cache.stats;
+  assert.deepStrictEqual({ hits, misses, hitRate }, { hits: 1, misses: 1, hitRate: 0.5 });
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DiskCache = require('../src/diskCache');
+
+async function makeDataPath(t) {
+  const dataPath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'disk-cache-'));
+  t.after(() => fs.promises.rm(dataPath, { recursive: true, force: true }));
+  return dataPath;
+}
+
+async function makeCache(t, cacheTTL = 60000) {
+  return new DiskCache(path.join(await makeDataPath(t), 'cache'), cacheTTL);
+}
+
+test('values round-trip through the key and its aliases', async (t) => {
+  const cache = await makeCache(t);
+  const value = { name: 'a', roster: [{ defId: 'VADER' }] };
+  const fetched = new Date().getTime();
+  await cache.set('player', value, ['111111111'], fetched);
+
+  const record = { key: 'player', value, aliases: ['111111111'], fetched };
+  assert.deepStrictEqual(await cache.get('player'), record);
+  assert.deepStrictEqual(await cache.get('111111111'), record);
+  assert.strictEqual(await cache.get('other'), undefined);
+});
+
+test('values fetched longer ago than the TTL have expired', async (t) => {
+  const cache = await makeCache(t, 60000);
+  await cache.set('player', { name: 'a' }, ['111111111'], new Date().getTime() - 60000);
+
+  assert.strictEqual(await cache.get('player'), undefined);
+  assert.strictEqual(await cache.get('111111111'), undefined);
+});
+
+test('removing a key through an alias removes all of its files', async (t) => {
+  const cache = await makeCache(t);
+  await cache.set('player', { name: 'a' }, ['111111111']);
+  await cache.remove('111111111');
+
+  assert.strictEqual(await cache.get('player'), undefined);
+  assert.deepStrictEqual(await fs.promises.readdir(cache._cachePath), []);
+});
+
+test('values never expire without a TTL', async (t) => {
+  const cache = await makeCache(t, 0);
+  await cache.set('player', { name: 'a' }, [], 123);
+  assert.deepStrictEqual((await cache.get('player')).value, { name: 'a' });
+});
+
+test('sweep removes the files written longer ago than the TTL', async (t) => {
+  const cache = await makeCache(t, 60000);
+  await cache.set('old', { name: 'a' });
+  await cache.set('new', { name: 'b' });
+
+  const past = new Date(new Date().getTime() - 120000);
+  await fs.promises.utimes(cache._filePath('old'), past, past);
+  await cache.sweep();
+
+  assert.deepStrictEqual(await fs.promises.readdir(cache._cachePath), [path.basename(cache._filePath('new'))]);
+});
+
+test('clear removes every cached value', async (t) => {
+  const cache = await makeCache(t);
+  await cache.set('a', { name: 'a' }, ['alias']);
+  await cache.set('b', { name: 'b' });
+  await cache.clear();
+
+  assert.deepStrictEqual(await fs.promises.readdir(cache._cachePath), []);
+});
+
+test('the cache is disabled when its directory cannot be created', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const dataPath = await makeDataPath(t);
+  await fs.promises.writeFile(path.join(dataPath, 'cache'), '');
+
+  const cache = new DiskCache(path.join(dataPath, 'cache', 'players'));
+  await cache.set('player', { name: 'a' });
+  assert.strictEqual(await cache.get('player'), undefined);
+  await cache.remove('player');
+  await cache.clear();
+  await cache.sweep();
+  assert.strictEqual(console.error.mock.callCount(), 1);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const gpCalculator = require('../src/gpCalculator');
+
+// a small slice of the table and xpTable collections, the expected values are worked out by hand from swgoh-stats'
+// formulas
+const rows = (entries) => Object.entries(entries).map(([key, value]) => ({ key, value: `${value}` }));
+const levels = (entries) => Object.entries(entries).map(([level, xp]) => ({ index: Number(level) - 1, xp }));
+
+const tables = gpCalculator.buildGpTables([
+  { id: 'crew_rating_per_unit_rarity', rowList: rows({ SEVEN_STAR: 100 }) },
+  { id: 'galactic_power_per_complete_gear_tier_table', rowList: rows({ TIER_12: 200 }) },
+  { id: 'galactic_power_per_tier_slot_table', rowList: rows({ '13:1': 10, '13:2': 12 }) },
+  { id: 'crew_rating_per_gear_piece_at_tier', rowList: rows({ TIER_13: 5 }) },
+  { id: 'crew_contribution_multiplier_per_rarity', rowList: rows({ SEVEN_STAR: 2 }) },
+  { id: 'galactic_power_modifier_per_ship_crew_size_table', rowList: rows({ 1: 1.5 }) },
+  { id: 'galactic_power_per_tagged_ability_level_table', rowList: rows({ zeta: 30, ultimate: 40, reinforcement_1: 25 }) },
+  { id: 'crew_rating_per_mod_rarity_level_tier', rowList: rows({ '5:15:5:0': 20, '5:15:1:0': 15, '5:15:5:1': 99 }) },
+  { id: 'galactic_power_per_relic_tier', rowList: rows({ 5: 300 }) },
+  { id: 'galactic_power_modifier_per_relic_tier', rowList: rows({ 5: 2 }) },
+  { id: 'crew_rating_per_relic_tier', rowList: rows({ 5: 100 }) },
+  { id: 'crew_rating_modifier_per_relic_tier', rowList: rows({ 5: 1 }) }
+], [
+  { id: 'crew_rating_per_unit_level', rowList: levels({ 85: 500 }) },
+  { id: 'crew_rating_per_ability_level', rowList: levels({ 8: 8 }) },
+  { id: 'galactic_power_per_ship_level_table', rowList: levels({ 85: 400 }) },
+  { id: 'galactic_power_per_ship_ability_level_table', rowList: levels({ 8: 50 }) }
+]);
+
+const skillMap = {
+  lead: { powerOverrideTags: { 8: 'zeta' } },
+  reinforcement: { powerOverrideTags: { 8: 'reinforcement_1' } }
+};
+
+const mod = { pips: 5, level: 15, tier: 5 };
+
+function makeRoster() {
+  return [{
+    defId: 'VADER',
+    combatType: 1,
+    level: 85,
+    rarity: 7,
+    gear: 13,
+    equipped: [{ slot: 0 }, { slot: 1 }],
+    skills: [{ id: 'basic', tier: 8 }, { id: 'lead', tier: 8 }],
+    purchasedAbilityId: ['ultimate'],
+    mods: [mod, mod],
+    // relic 5 in game
+    relic: { currentTier: 7 }
+  }, {
+    defId: 'TIEADVANCED',
+    combatType: 2,
+    level: 85,
+    rarity: 7,
+    skills: [{ id: 'basic', tier: 8 }],
+    crew: [{ unitId: 'VADER' }]
+  }, {
+    defId: 'SCYTHE',
+    combatType: 2,
+    level: 85,
+    rarity: 7,
+    skills: [{ id: 'basic', tier: 8 }, { id: 'reinforcement', tier: 8 }],
+    crew: []
+  }];
+}
+
+test('tables are keyed the way units are formatted', () => {
+  assert.deepStrictEqual(tables.gearLevel, { 1: 0, 13: 200 });
+  assert.deepStrictEqual(tables.gearPieceGp, { 13: { 0: 10, 1: 12 } });
+  assert.deepStrictEqual(tables.relicTierGp, { 7: 300 });
+  assert.deepStrictEqual(tables.modGp, { 5: { 15: { 5: 20, 1: 15 } } });
+  assert.deepStrictEqual(tables.modCp, { 5: { 15: 15 } });
+  assert.deepStrictEqual(tables.unitLevel, { 85: 500 });
+});
+
+test('a relic character', () => {
+  const [character] = makeRoster();
+  // (500 + 100 + 200 + 10 + 12 + 8 + 30 + 40 + 2 * 20 + 300 + 85 * 2) * 1.5
+  assert.strictEqual(gpCalculator.calcCharGp(character, tables, skillMap), 2115);
+  // 500 + 100 + 200 + 2 * 5 + 2 * 8 + 2 * 15 + 100 + 85 * 1
+  assert.strictEqual(gpCalculator.calcCharCp(character, tables), 1041);
+});
+
+test('a relic character without its relic', () => {
+  const [character] = makeRoster();
+  character.relic = { currentTier: 2 };
+  assert.strictEqual(gpCalculator.calcCharGp(character, tables, skillMap), 1410);
+});
+
+test('a ship with a crew, and a ship without one', () => {
+  const [character, ship, crewless] = gpCalculator.calcRosterGp(makeRoster(), tables, skillMap);
+  assert.strictEqual(character.gp, 2115);
+  assert.deepStrictEqual(ship.crew, [{ unitId: 'VADER', gp: 2115, cp: 1041 }]);
+  // (2115 * 2 * 1.5 + 400 + 50) * 1.5
+  assert.strictEqual(ship.gp, 10192);
+  // ((400 * 3.5 + 50 * 5.74 + 25 * 1.61) * 2 + 400 + 50 + 25) * 1.5
+  assert.strictEqual(crewless.gp, 5894);
+});
+
+test('a ship whose crew is not in the roster is left without power', () => {
+  const roster = gpCalculator.calcRosterGp(makeRoster().slice(1), tables, skillMap);
+  assert.strictEqual(roster[0].gp, undefined);
+  assert.strictEqual(roster[1].gp, 5894);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RateLimiter = require('../src/rateLimiter');
+
+function makeLimiter(t, limit, windowSeconds = 60) {
+  t.mock.timers.enable({ apis: ['Date', 'setInterval'], now: 1000000 });
+  return new RateLimiter(limit, windowSeconds);
+}
+
+test('a limit of 0 disables the limiter', () => {
+  assert.strictEqual(new RateLimiter(0).enabled, false);
+});
+
+test('requests are allowed until the window is used up', (t) => {
+  const limiter = makeLimiter(t, 5);
+  assert.deepStrictEqual(limiter.consume('user:a', 3), { allowed: true, limit: 5, remaining: 2, reset: 1060000 });
+  assert.strictEqual(limiter.consume('user:a', 2).allowed, true);
+
+  const rejected = limiter.consume('user:a', 1);
+  assert.strictEqual(rejected.allowed, false);
+  assert.strictEqual(rejected.remaining, 0);
+  // each key has its own window
+  assert.strictEqual(limiter.consume('user:b', 1).allowed, true);
+});
+
+test('a request costing more than the limit is allowed when the window is empty', (t) => {
+  const limiter = makeLimiter(t, 5);
+  assert.deepStrictEqual(limiter.consume('user:a', 51), { allowed: true, limit: 5, remaining: 0, reset: 1060000 });
+  assert.strictEqual(limiter.consume('user:a', 1).allowed, false);
+});
+
+test('charge adds to the window without checking the limit, and refunds negative costs', (t) => {
+  const limiter = makeLimiter(t, 100);
+  limiter.consume('user:a', 51);
+  assert.deepStrictEqual(limiter.charge('user:a', -46), { limit: 100, remaining: 95 });
+  assert.deepStrictEqual(limiter.charge('user:a', 200), { limit: 100, remaining: 0 });
+  assert.strictEqual(limiter.consume('user:a', 1).allowed, false);
+  // refunds never take the window below nothing used
+  assert.deepStrictEqual(limiter.charge('user:a', -1000), { limit: 100, remaining: 100 });
+});
+
+test('charge ignores keys without a current window', (t) => {
+  const limiter = makeLimiter(t, 10);
+  assert.deepStrictEqual(limiter.charge('user:a', 5), { limit: 10, remaining: 10 });
+  assert.strictEqual(limiter.consume('user:a', 10).remaining, 0);
+});
+
+test('the window resets once it has ended', (t) => {
+  const limiter = makeLimiter(t, 5, 60);
+  limiter.consume('user:a', 5);
+  assert.strictEqual(limiter.consume('user:a', 1).allowed, false);
+
+  t.mock.timers.tick(60000);
+  const allowed = limiter.consume('user:a', 1);
+  assert.strictEqual(allowed.allowed, true);
+  assert.strictEqual(allowed.remaining, 4);
+  assert.strictEqual(allowed.reset, 1120000);
+});
+
+test('sweep removes the windows that have ended', (t) => {
+  const limiter = makeLimiter(t, 5, 60);
+  limiter.consume('user:a', 1);
+  t.mock.timers.tick(30000);
+  limiter.consume('user:b', 1);
+  t.mock.timers.tick(30000);
+  limiter.sweep();
+  assert.deepStrictEqual(Object.keys(limiter._windowMap), ['user:b']);
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const statCalculator = require('../src/statCalculator');
+
+// a small slice of the game data, the expected values are worked out by hand from swgoh-stats' formulas
+const stats = (entries) => ({
+  statList: Object.entries(entries).map(([unitStatId, value]) => ({ unitStatId: Number(unitStatId), unscaledDecimalValue: `${value}` }))
+});
+
+const tables = statCalculator.buildStatTables({
+  unitList: [{
+    baseId: 'VADER',
+    rarity: 7,
+    combatType: 1,
+    primaryUnitStat: 2,
+    statProgressionId: 'stattable_vader_7',
+    unitTierList: [{ tier: 13, baseStat: stats({ 1: 1000e8, 2: 100e8, 3: 80e8, 4: 60e8, 5: 120e8, 28: 0, 61: 10e8 }) }],
+    relicDefinition: { relicTierDefinitionReferenceList: ['vader_relic_1', 'vader_relic_5'] },
+    categoryIdList: ['role_leader', 'role_attacker']
+  }, {
+    baseId: 'TIEADVANCED',
+    rarity: 7,
+    combatType: 2,
+    primaryUnitStat: 3,
+    statProgressionId: 'stattable_ship_7',
+    baseStat: stats({ 1: 5000e8, 5: 100e8 }),
+    crewContributionTableId: 'crew_ship'
+  }, {
+    baseId: 'SCYTHE',
+    rarity: 7,
+    combatType: 2,
+    primaryUnitStat: 3,
+    statProgressionId: 'stattable_ship_7',
+    baseStat: stats({ 1: 5000e8, 5: 100e8 }),
+    crewContributionTableId: 'crew_ship'
+  }],
+  statProgressionList: [
+    { id: 'stattable_vader_7', stat: stats({ 2: 5e8, 3: 4e8, 4: 3e8 }) },
+    { id: 'stattable_ship_7', stat: stats({ 2: 2e8, 3: 2e8, 4: 2e8 }) },
+    { id: 'crew_ship', stat: stats({ 1: 1e6, 6: 5e5, 16: 1000 }) },
+    { id: 'relic_growth', stat: stats({ 2: 1e8 }) }
+  ],
+  equipmentList: [{ id: 'gear_1', equipmentStat: stats({ 1: 200e8, 2: 10e8 }) }],
+  relicTierList: [{ id: 'vader_relic_5', stat: stats({ 1: 500e8 }), relicStatTable: 'relic_growth' }],
+  modSetList: [{ id: '1', setCount: 2, completeBonus: { stat: { unitStatId: 55, unscaledDecimalValue: '5000000' } } }],
+  tableList: [{ id: 'strength_role_attacker_mastery', rowList: [{ key: 'UNITSTATMAXHEALTH', value: '10' }] }],
+  unitStats: { UNITSTATMAXHEALTH: 1 }
+});
+
+const gpTables = {
+  shipRarityFactor: { 7: 1.5 },
+  unitLevel: { 85: 100 },
+  unitRarity: { 7: 50 },
+  gearLevel: { 13: 20 },
+  abilityLevel: { 8: 10 }
+};
+
+const flatStats = [1, 5, 28, 41, 42];
+
+const mod = {
+  set: 1,
+  level: 15,
+  primaryStat: { unitStat: 5, value: 30 },
+  secondaryStat: [{ unitStat: 53, value: 2 }]
+};
+
+function makeRoster() {
+  return [{
+    defId: 'VADER',
+    combatType: 1,
+    level: 85,
+    rarity: 7,
+    gear: 13,
+    equipped: [{ equipmentId: 'gear_1' }],
+    skills: [],
+    mods: [mod, mod],
+    // relic 5 in game
+    relic: { currentTier: 7 }
+  }, {
+    defId: 'TIEADVANCED',
+    combatType: 2,
+    level: 85,
+    rarity: 7,
+    skills: [],
+    crew: [{ unitId: 'VADER' }]
+  }, {
+    defId: 'SCYTHE',
+    combatType: 2,
+    level: 85,
+    rarity: 7,
+    skills: [{ id: 'hardwareskill', tier: 8 }, { id: 'basicskill', tier: 8 }],
+    crew: []
+  }];
+}
+
+test('a relic character', () => {
+  const [character] = makeRoster();
+  const result = statCalculator.calcCharStats(character, tables, flatStats);
+
+  assert.deepStrictEqual(result.base, {
+    1: 12760,   // 1000 + 500 relic + 10 mastery * 10 + 620 strength * 18
+    2: 620,     // 100 + 10 gear + (5 + 1 relic) * 85
+    3: 420,
+    4: 315,
+    5: 120,
+    6: 868,
+    7: 756,
+    8: 116,
+    9: 31,
+    12: 24,
+    13: 24,
+    14: 168,
+    15: 0,
+    16: 1.5,
+    18: 0.15,
+    28: 0,
+    61: 10
+  });
+  assert.deepStrictEqual(result.gear, { 1: 200 });
+  // the health set is complete, and complete again with both mods at max level
+  assert.deepStrictEqual(result.mods, { 1: 1276, 5: 60, 21: 0.04, 22: 0.04 });
+
+  assert.strictEqual(result.final[1], 14236);
+  assert.strictEqual(result.final[5], 180);
+  assert.strictEqual(result.final[8], 116 / (85 * 7.5 + 116));
+  assert.ok(Math.abs(result.final[14] - (168 / 2400 + 0.1 + 0.04)) < 1e-9);
+  assert.strictEqual(result.final[21], undefined);
+});
+
+test('a character missing from the game data has no stats', () => {
+  const [character] = makeRoster();
+  assert.strictEqual(statCalculator.calcCharStats({ ...character, defId: 'UNKNOWN' }, tables, flatStats), undefined);
+  assert.strictEqual(statCalculator.calcCharStats({ ...character, gear: 12 }, tables, flatStats), undefined);
+});
+
+test('a ship with a crew, and a ship without one', () => {
+  const [, ship, crewless] = statCalculator.calcRosterStats(makeRoster(), tables, gpTables, flatStats);
+
+  // the crew rating is VADER's crew power, 100 + 50 + 20, and is multiplied by the rarity factor
+  assert.deepStrictEqual(ship.stats.crew, { 1: 2, 6: 1, 16: 0.00255 });
+  assert.strictEqual(ship.stats.base[1], 8060);
+  assert.strictEqual(ship.stats.base[6], 238);
+  assert.strictEqual(ship.stats.final[1], 8062);
+  assert.strictEqual(ship.stats.final[5], 100);
+  assert.strictEqual(ship.stats.final[8], 35 / (300 + 85 * 5 + 35));
+
+  // the crew rating is 50 + 3.5 * 100 + 0.696 * 10 + 2.46 * 10, rounded down
+  assert.deepStrictEqual(crewless.stats.crew, { 1: 6, 6: 3, 16: 0.006465 });
+  assert.strictEqual(crewless.stats.final[1], 8066);
+});
+
+test('mod sets count their mods at max level separately', () => {
+  const mods = [mod, mod, { ...mod, level: 12 }, { ...mod, set: 4 }, { ...mod, set: 0 }];
+  const sets = statCalculator.countModSets(mods);
+  assert.deepStrictEqual(sets, { 1: { count: 3, maxLevel: 2 }, 4: { count: 1, maxLevel: 1 } });
+
+  assert.deepStrictEqual(statCalculator.getModSetBonuses(sets[1], 2), { bonuses: 1, maxBonuses: 1 });
+  assert.deepStrictEqual(statCalculator.getModSetBonuses(sets[1], 4), { bonuses: 0, maxBonuses: 0 });
+  assert.deepStrictEqual(statCalculator.getModSetBonuses(sets[4], null), { bonuses: 0, maxBonuses: 0 });
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TokenStore = require('../src/tokenStore');
+
+const TOKEN_A = 'a'.repeat(40);
+const TOKEN_B = 'b'.repeat(40);
+
+function quiet(t) {
+  for (const method of ['debug', 'warn', 'error']) {
+    t.mock.method(console, method, () => {});
+  }
+}
+
+async function makeStore(t, contents) {
+  const dataPath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tokens-'));
+  t.after(() => fs.promises.rm(dataPath, { recursive: true, force: true }));
+  if (contents !== undefined) {
+    await fs.promises.writeFile(path.join(dataPath, 'tokens.json'), contents);
+  }
+  return new TokenStore(dataPath);
+}
+
+test('saved tokens load back', async (t) => {
+  quiet(t);
+  const store = await makeStore(t);
+  const tokens = { [TOKEN_A]: { expires: 123, user: 'bot' } };
+  await store.save(tokens);
+  assert.deepStrictEqual(await store.load(), tokens);
+});
+
+test('a missing file loads no tokens', async (t) => {
+  quiet(t);
+  const store = await makeStore(t);
+  assert.deepStrictEqual(await store.load(), {});
+});
+
+test('valid tokens are recovered from a corrupt file, which is kept as a backup', async (t) => {
+  quiet(t);
+  const contents = `{"${TOKEN_A}": {"expires": 123, "user": "bot"}, "${TOKEN_B}": 456, "broken": {`;
+  const store = await makeStore(t, contents);
+
+  const expected = {
+    [TOKEN_A]: { expires: 123, user: 'bot' },
+    [TOKEN_B]: { expires: 456 }
+  };
+  assert.deepStrictEqual(await store.load(), expected);
+  assert.strictEqual(await fs.promises.readFile(`${store.filePath}.corrupt`, 'utf8'), contents);
+  assert.deepStrictEqual(JSON.parse(await fs.promises.readFile(store.filePath, 'utf8')), expected);
+});
+
+test('recovered tokens are returned when they cannot be saved', async (t) => {
+  quiet(t);
+  const store = await makeStore(t, `{"${TOKEN_A}": 123, `);
+  store.save = () => Promise.reject(new Error('disk full'));
+
+  assert.deepStrictEqual(await store.load(), { [TOKEN_A]: { expires: 123 } });
+});
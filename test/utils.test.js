@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const utils = require('../src/utils');
+
+const FIELDS = ['id', 'rarity', 'nameKey'];
+
+const collection = [
+  { id: 7, rarity: 7, nameKey: 'UNIT_A' },
+  { id: '07', rarity: '7', nameKey: 'UNIT_B' },
+  { id: '', rarity: 0, nameKey: 'UNIT_C' },
+  { id: 0, rarity: '0', nameKey: '' },
+  { id: 'abc', rarity: true, nameKey: 'UNIT_A' },
+  { id: null, rarity: 1, nameKey: 'UNIT_D' },
+  { rarity: 1, nameKey: 'UNIT_E' },
+  { id: '1e1', rarity: 10, nameKey: 'UNIT_F' }
+];
+
+function indexedMatch(source, matchFilter) {
+  const positions = utils.lookupIndexes(utils.buildIndexes(source, FIELDS), matchFilter);
+  const candidates = positions ? positions.map(position => source[position]) : source;
+  return candidates.filter(utils.match(matchFilter));
+}
+
+function unindexedMatch(source, matchFilter) {
+  return source.filter(utils.match(matchFilter));
+}
+
+test('indexed and unindexed match filters return the same elements', () => {
+  const filters = [
+    { id: 7 }, { id: '7' }, { id: '07' }, { id: '' }, { id: 0 }, { id: '0' }, { id: 'abc' }, { id: 10 },
+    { id: null }, { id: true }, { rarity: 1 }, { rarity: true }, { rarity: '1' }, { rarity: 0, nameKey: '' },
+    { nameKey: 'UNIT_A' }, { nameKey: 'UNIT_A', rarity: 7 }, { nameKey: 'missing' }, { baseId: 'UNIT_A' }
+  ];
+
+  for (const matchFilter of filters) {
+    assert.deepStrictEqual(indexedMatch(collection, matchFilter), unindexedMatch(collection, matchFilter),
+      `match ${JSON.stringify(matchFilter)}`);
+  }
+});
+
+test('indexes survive being saved as JSON', () => {
+  const indexes = JSON.parse(JSON.stringify(utils.buildIndexes(collection, FIELDS)));
+  const matchFilter = { id: '7' };
+  const positions = utils.lookupIndexes(indexes, matchFilter);
+  assert.deepStrictEqual(positions.map(position => collection[position]), unindexedMatch(collection, matchFilter));
+});
+
+test('numeric strings match numbers', () => {
+  assert.deepStrictEqual(unindexedMatch(collection, { id: 7 }).map(({ nameKey }) => nameKey), ['UNIT_A', 'UNIT_B']);
+  assert.deepStrictEqual(unindexedMatch(collection, { id: null }).map(({ nameKey }) => nameKey), ['UNIT_D', 'UNIT_E']);
+});